@@ -11,6 +11,8 @@ const config = require('./config/config');
 const logger = require('./utils/logger');
 const monitoringRoutes = require('./routes/monitoring');
 const scrapingRoutes = require('./routes/scraping');
+const listingRoutes = require('./routes/listings');
+const adminRoutes = require('./routes/admin');
 const validateApiKey = require('./middleware/auth');
 const errorHandler = require('./middleware/error-handler');
 
@@ -34,7 +36,7 @@ app.use(helmet({
 // Configure CORS
 app.use(cors({
     origin: '*',
-    methods: ['GET', 'POST', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'X-API-Key', 'Authorization'],
     credentials: false
 }));
@@ -105,6 +107,8 @@ app.use('/api', limiter);
 // Routes with API key validation
 app.use('/api', validateApiKey, monitoringRoutes);
 app.use('/api', validateApiKey, scrapingRoutes);
+app.use('/api', validateApiKey, listingRoutes);
+app.use('/api', validateApiKey, adminRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -119,6 +123,16 @@ app.use((req, res) => {
     res.status(404).json({ error: 'Route not found' });
 });
 
+// Declarative monitors (MONITORS_FILE), applied once persisted monitors are loaded
+const monitorConfig = require('./services/monitor-config');
+monitorConfig.start(config.monitorsFile).catch(error => {
+    logger.error('Failed to apply monitors file', { error: error.message });
+});
+
+// Scheduled pruning and VACUUM of data/monitors.db
+const retention = require('./services/retention-service');
+retention.start();
+
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
     logger.info(`Received ${signal}. Starting graceful shutdown...`);
@@ -127,6 +141,8 @@ const gracefulShutdown = async (signal) => {
     const browserPool = require('./services/browser-pool');
     
     try {
+        monitorConfig.stop();
+        retention.stop();
         await monitoringService.cleanupAllJobs();
         if (browserPool) {
             await browserPool.cleanup();
@@ -153,12 +169,32 @@ const server = app.listen(config.port, host, () => {
     logger.info('📊 Basic Endpoints:');
     logger.info('  GET /api/getListings?url=YOUR_URL');
     logger.info('  GET /api/getAllListings?url=YOUR_URL');
+    logger.info('  GET /api/getListingDetails?url=AD_URL (or ?id=AD_ID)');
+    logger.info('  GET /api/listings/:id/history');
     
     logger.info('🔄 Monitoring Endpoints:');
+    logger.info('  POST   /api/monitors');
+    logger.info('  GET    /api/monitors[/:id] (?group=&tag=&status=)');
+    logger.info('  PATCH|DELETE /api/monitors/bulk?group=&tag=&ids=');
+    logger.info('  POST   /api/monitors/bulk/pause | /resume');
+    logger.info('  GET    /api/groups');
+    logger.info('  GET    /api/monitors/export (?format=yaml|json)');
+    logger.info('  PATCH  /api/monitors/:id');
+    logger.info('  DELETE /api/monitors/:id');
+    logger.info('  POST   /api/monitors/:id/pause | /resume');
+    logger.info('  POST   /api/monitors/:id/check (?dryRun=true)');
+    logger.info('  GET    /api/monitors/:id/changes | /api/changes?type=&listingId=&from=&to=&limit=&offset=');
+    logger.info('  GET    /api/monitors/:id/runs (?limit=)');
     logger.info('  GET /api/startMonitoring?url=YOUR_URL&webhook=YOUR_WEBHOOK');
     logger.info('  GET /api/stopMonitoring?url=YOUR_URL');
     logger.info('  GET /api/getChanges?url=YOUR_URL&clear=true');
     logger.info('  GET /api/getMonitoringStatus');
     
+    logger.info('🗄️  Admin Endpoints:');
+    logger.info('  GET    /api/admin/storage');
+    logger.info('  POST   /api/admin/prune (?vacuum=true)');
+    logger.info('  GET    /api/admin/backup (?gzip=true)');
+    logger.info('  POST   /api/admin/restore (backup file as request body)');
+    
     logger.info(`🌐 Server ready in ${config.env} mode`);
 });
\ No newline at end of file
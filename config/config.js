@@ -1,5 +1,11 @@
 require('dotenv').config();
 
+// Like parseInt(...) || fallback, but keeps an explicit 0
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
 const config = {
     env: process.env.NODE_ENV || 'development',
     port: process.env.PORT || 2456,
@@ -7,6 +13,38 @@ const config = {
     allowedOrigins: (process.env.ALLOWED_ORIGINS || '').split(','),
     logLevel: process.env.LOG_LEVEL || 'info',
     maxRequestsPerMinute: parseInt(process.env.MAX_REQUESTS_PER_MINUTE, 10) || 100,
+    // Multi-instance coordination (services/coordination.js); off without REDIS_HOST
+    redis: {
+        host: process.env.REDIS_HOST || null,
+        port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+        password: process.env.REDIS_PASSWORD || undefined,
+        keyPrefix: process.env.REDIS_KEY_PREFIX || 'willhaben:'
+    },
+    instanceId: process.env.INSTANCE_ID || null,
+    // SQLite database (utils/persistence.js), data/monitors.db by default
+    dbPath: process.env.DB_PATH || null,
+    // Service-wide alerts (e.g. schema drift) go here only; monitor webhooks get changes only
+    alertWebhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+    // Declarative monitor definitions (services/monitor-config.js), YAML or JSON
+    monitorsFile: process.env.MONITORS_FILE || null,
+    // Retention per data type in days, 0 keeps forever (services/retention-service.js).
+    // With ARCHIVE_DIR set, pruned rows are written there as gzipped JSONL first.
+    retention: {
+        changesDays: envInt('RETENTION_CHANGES_DAYS', 90),
+        eventsDays: envInt('RETENTION_EVENTS_DAYS', 365),
+        removedListingsDays: envInt('RETENTION_REMOVED_LISTINGS_DAYS', 180),
+        runsDays: envInt('RETENTION_RUNS_DAYS', 30),
+        // Rotated log files only; error.log/combined.log themselves are never deleted
+        logsDays: envInt('RETENTION_LOGS_DAYS', 30),
+        archiveDir: process.env.ARCHIVE_DIR || null,
+        pruneCron: process.env.RETENTION_PRUNE_CRON || '30 3 * * *',
+        vacuumCron: process.env.RETENTION_VACUUM_CRON || '0 4 * * 0'
+    },
+    // Size-based rotation of error.log/combined.log; the oldest file is dropped
+    logs: {
+        maxSizeMb: envInt('LOG_MAX_SIZE_MB', 10),
+        maxFiles: envInt('LOG_MAX_FILES', 5)
+    },
     security: {
         enableHttpsOnly: process.env.NODE_ENV === 'production',
         enableHSTS: process.env.NODE_ENV === 'production',
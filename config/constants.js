@@ -5,10 +5,47 @@ module.exports = {
     ACTIVE_INTERVAL: 60000,     // 1 minute when changes detected
     QUIET_INTERVAL: 300000,     // 5 minutes when quiet
     CONCURRENT_PAGES: 3,        // Parallel page requests
+    // willhaben serves only a limited number of results per search; larger ones are split by price
+    // minCoverage: share of the reported total a split search must find to count as complete
+    // (listings come and go between the band requests)
+    RESULT_CAP: { maxResults: 5000, maxSubSearches: 40, initialPriceStep: 1000, minCoverage: 0.99 },
     CHANGES_RETENTION: 100,
+    
+    // Central scheduler (services/scheduler.js)
+    SCHEDULER: {
+        CONCURRENCY: 2,             // Monitors checked at the same time
+        JITTER_RATIO: 0.1,          // +/- 10% of the interval ...
+        MAX_JITTER: 30000,          // ... but at most 30 seconds
+        MAX_TIMER_DELAY: 60000      // Re-evaluate the queue at least once a minute
+    },
+    
+    // Redis coordination between instances (only with REDIS_HOST)
+    COORDINATION: {
+        LEASE_TTL: 60000,           // A dead instance's monitors are taken over after this
+        RENEW_INTERVAL: 20000,      // Heartbeat renewing the leases held
+        STATE_TTL: 604800000        // Shared cursors/breaker state expire after 7 days unused
+    },
+    
+    // Pruning of old rows (services/retention-service.js)
+    RETENTION: {
+        BATCH_SIZE: 500,            // Rows archived/deleted per statement
+        VACUUM_MIN_FREE_RATIO: 0.1  // Scheduled VACUUM only runs with at least 10% free pages
+    },
+    ALERTS_RETENTION: 50,
+    // Missing listings are reported as removed after this many complete scrapes,
+    // or earlier if the detail page returns 404 (verifyDetails)
+    REMOVAL_CONFIRMATION: { checks: 2, verifyDetails: false, maxDetailChecks: 5 },
+    
+    // Incremental scan mode: newest-first pages until known IDs, plus a periodic full reconcile
+    NEWEST_FIRST_SORT: '1',                 // willhaben "sort" value for Aktualität
+    INCREMENTAL_MAX_PAGES: 5,
+    // Attributes of paid placements (bumped/top ads) that stay on top regardless of their date
+    PROMOTED_AD_ATTRIBUTES: ['IS_BUMPED'],
+    INCREMENTAL_RECONCILE_INTERVAL: 3600000, // 1 hour
     ACTIVITY_WINDOW: 3600000,   // 1 hour for activity tracking
     PEAK_HOURS_START: 6,        // 6 AM
     PEAK_HOURS_END: 22,         // 10 PM
+    TIMEZONE: 'Europe/Vienna',  // Peak hours and monitor schedules without explicit timezone
     
     // Anti-Detection Settings
     USE_HEADLESS_BROWSER: false,
@@ -18,4 +55,13 @@ module.exports = {
     HUMAN_DELAY_MAX: 5000,        // Max delay between actions (ms)
     MOUSE_MOVEMENTS: true,        // Simulate mouse movements
     RANDOM_SCROLLING: true,       // Random page scrolling
+    
+    // Retry policy per scrape error type (see utils/scrape-errors.js)
+    SCRAPE_RETRY_POLICIES: {
+        NETWORK: { retries: 2, baseDelay: 2000, maxDelay: 10000 },
+        RATE_LIMITED: { retries: 1, baseDelay: 30000, maxDelay: 60000, honorRetryAfter: true },
+        BLOCKED: { retries: 1, baseDelay: 15000, maxDelay: 30000 },
+        NOT_FOUND: { retries: 0, baseDelay: 0, maxDelay: 0 },
+        MARKUP_CHANGED: { retries: 0, baseDelay: 0, maxDelay: 0 },
+    },
 };
\ No newline at end of file
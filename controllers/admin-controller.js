@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const retention = require('../services/retention-service');
+const backupService = require('../services/backup-service');
+
+async function getStorage(req, res) {
+    try {
+        res.status(200).json(await retention.getStorage());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to read storage usage', details: error.message });
+    }
+}
+
+// Runs the retention policies now instead of waiting for the schedule (?vacuum=true to compact afterwards)
+async function prune(req, res) {
+    try {
+        const result = await retention.prune();
+        const vacuum = req.query.vacuum === 'true' ? await retention.vacuum({ force: true }) : null;
+        res.status(200).json({ ...result, vacuum });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to prune', details: error.message });
+    }
+}
+
+// Streams a consistent copy of the database (?gzip=true to compress it)
+async function getBackup(req, res) {
+    const gzip = req.query.gzip === 'true';
+    let backup;
+    try {
+        backup = await backupService.createBackup();
+    } catch (error) {
+        return res.status(500).json({ error: 'Failed to create backup', details: error.message });
+    }
+
+    res.status(200);
+    if (gzip) {
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="${backup.fileName}.gz"`);
+    } else {
+        res.setHeader('Content-Type', 'application/vnd.sqlite3');
+        res.setHeader('Content-Disposition', `attachment; filename="${backup.fileName}"`);
+    }
+    await backupService.streamBackup(backup, res, { gzip });
+}
+
+// Body: a file from GET /admin/backup (gzipped or not), sent as application/octet-stream
+async function restoreBackup(req, res) {
+    const upload = path.join(os.tmpdir(), `willhaben-upload-${crypto.randomBytes(6).toString('hex')}`);
+    try {
+        await pipeline(req, fs.createWriteStream(upload));
+        const { size } = await fs.promises.stat(upload);
+        if (size === 0) {
+            return res.status(400).json({ error: 'Request body must contain the backup file' });
+        }
+
+        const result = await backupService.restoreBackup(upload);
+        res.status(200).json(result);
+    } catch (error) {
+        if (error instanceof backupService.InvalidBackupError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to restore backup', details: error.message });
+    } finally {
+        await fs.promises.rm(upload, { force: true });
+    }
+}
+
+module.exports = {
+    getStorage,
+    prune,
+    getBackup,
+    restoreBackup
+};
\ No newline at end of file
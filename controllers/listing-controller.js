@@ -0,0 +1,22 @@
+const listingHistory = require('../services/listing-history-service');
+
+async function getListingHistory(req, res) {
+    const listingId = req.params.id;
+    if (!/^\d+$/.test(listingId)) {
+        return res.status(400).json({ error: 'Listing ID must be numeric.' });
+    }
+
+    try {
+        const history = await listingHistory.getListingHistory(listingId);
+        if (!history) {
+            return res.status(404).json({ error: 'This listing has not been seen by any monitor', listingId });
+        }
+        res.status(200).json(history);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to load listing history', details: error.message });
+    }
+}
+
+module.exports = {
+    getListingHistory
+};
\ No newline at end of file
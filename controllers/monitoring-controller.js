@@ -1,9 +1,438 @@
 const monitoringService = require('../services/monitoring-service');
+const monitorConfig = require('../services/monitor-config');
 const sessionManager = require('../services/session-manager');
-const CircuitBreaker = require('../services/circuit-breaker');
+const schemaDrift = require('../services/schema-drift');
+const { parseMonitorBody, normalizeTags } = require('../utils/monitor-definition');
+const { DEFAULT_DIFF_FIELDS } = require('../services/listing-diff');
+const { isWithinSchedule, describeSchedule } = require('../utils/time-window');
 const { rebuildUrl, normalizeUrl, isPeakHours } = require('../utils/helpers');
 const CONFIG = require('../config/constants');
 
+function formatJob(job) {
+    return {
+        id: job.id,
+        title: job.title,
+        group: job.group || null,
+        tags: job.tags || [],
+        source: job.source || 'api',
+        status: job.status,
+        pausedAt: job.pausedAt,
+        normalizedUrl: job.normalizedUrl,
+        originalUrl: job.originalUrl,
+        webhookUrl: job.webhookUrl || 'Not configured',
+        filters: job.filters || null,
+        diffFields: job.diffFields || DEFAULT_DIFF_FIELDS,
+        removalConfirmation: { ...CONFIG.REMOVAL_CONFIRMATION, ...(job.removalConfirmation || {}) },
+        pendingRemovals: Object.keys(job.pendingRemovals || {}).length,
+        scanMode: job.scanMode || 'full',
+        reconcileInterval: job.scanMode === 'incremental'
+            ? `${((job.reconcileInterval || CONFIG.INCREMENTAL_RECONCILE_INTERVAL) / 60000).toFixed(1)} minutes`
+            : null,
+        lastReconcileAt: job.lastReconcileAt || null,
+        schedule: job.schedule || null,
+        scheduleDescription: describeSchedule(job.schedule),
+        withinSchedule: isWithinSchedule(job.schedule),
+        startedAt: job.startedAt,
+        lastCheck: job.lastCheck,
+        checkCount: job.checkCount,
+        configuredInterval: job.configuredInterval ? `${(job.configuredInterval / 60000).toFixed(1)} minutes` : null,
+        currentInterval: `${(job.currentInterval / 60000).toFixed(1)} minutes`,
+        currentListingsCount: job.lastSnapshot?.length || 0,
+        pendingChanges: job.changes.length,
+        consecutiveErrors: job.consecutiveErrors,
+        lastError: job.lastError,
+        lastScrapingStats: job.lastScrapingStats,
+        circuitBreaker: monitoringService.getCircuitBreakerState(job.id),
+        nextCheck: job.nextCheckAt
+    };
+}
+
+function notFound(res, monitorId) {
+    return res.status(404).json({
+        error: 'No monitor found with this ID',
+        id: monitorId,
+        availableMonitors: monitoringService.getAllJobs().map(job => job.id)
+    });
+}
+
+function managedByFile(res, job) {
+    return res.status(409).json({
+        error: 'Monitor is defined in the monitors config file; change it there',
+        id: job.id,
+        file: monitorConfig.getStatus()?.file
+    });
+}
+
+// === Monitor CRUD ===
+function createMonitor(req, res) {
+    const { errors, updates } = parseMonitorBody(req.body || {}, { requireUrl: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    
+    // Set before creating so the first save already has the title
+    if (!updates.title) {
+        updates.title = `Monitor ${monitoringService.getAllJobs().length + 1}`;
+    }
+    
+    try {
+        const job = monitoringService.createMonitor(updates);
+        
+        // Initial check runs in the background; its result shows up on the monitor
+        monitoringService.requestCheck(job.id);
+        
+        res.status(201).json(formatJob(job));
+    } catch (error) {
+        if (error instanceof monitoringService.MonitorConflictError) {
+            return res.status(409).json({ error: error.message, id: error.existingId });
+        }
+        res.status(500).json({ error: 'Failed to create monitor', details: error.message });
+    }
+}
+
+// Reads ?group=&tag=a,b&status=&ids= into a selector; an empty group selects ungrouped monitors
+function parseSelector(query) {
+    const errors = [];
+    const selector = {};
+    
+    if (query.group !== undefined) {
+        selector.group = String(query.group).trim() || null;
+    }
+    if (query.tag !== undefined) {
+        selector.tags = normalizeTags(String(query.tag).split(',').filter(tag => tag.trim()));
+    }
+    if (query.ids !== undefined) {
+        selector.ids = String(query.ids).split(',').map(id => id.trim()).filter(Boolean);
+    }
+    if (query.status !== undefined) {
+        if (!['active', 'paused'].includes(query.status)) {
+            errors.push('"status" must be "active" or "paused"');
+        } else {
+            selector.status = query.status;
+        }
+    }
+    
+    return { errors, selector };
+}
+
+function listMonitors(req, res) {
+    const { errors, selector } = parseSelector(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    
+    const jobs = monitoringService.findJobs(selector);
+    res.status(200).json({
+        count: jobs.length,
+        monitors: jobs.map(formatJob)
+    });
+}
+
+function getMonitor(req, res) {
+    const job = monitoringService.getJob(req.params.id);
+    if (!job) return notFound(res, req.params.id);
+    
+    res.status(200).json(formatJob(job));
+}
+
+function updateMonitor(req, res) {
+    const job = monitoringService.getJob(req.params.id);
+    if (!job) return notFound(res, req.params.id);
+    if (monitorConfig.isManaged(job)) return managedByFile(res, job);
+    
+    const { errors, updates } = parseMonitorBody(req.body || {}, { requireUrl: false });
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    
+    try {
+        const updated = monitoringService.updateMonitor(req.params.id, updates);
+        res.status(200).json(formatJob(updated));
+    } catch (error) {
+        if (error instanceof monitoringService.MonitorConflictError) {
+            return res.status(409).json({ error: error.message, id: error.existingId });
+        }
+        res.status(500).json({ error: 'Failed to update monitor', details: error.message });
+    }
+}
+
+function deleteMonitor(req, res) {
+    const job = monitoringService.getJob(req.params.id);
+    if (!job) return notFound(res, req.params.id);
+    if (monitorConfig.isManaged(job)) return managedByFile(res, job);
+    
+    monitoringService.stopMonitoring(job.id);
+    res.status(200).json({
+        message: 'Monitor deleted successfully',
+        id: job.id,
+        totalChecks: job.checkCount || 0,
+        totalChangesDetected: job.changes?.length || 0
+    });
+}
+
+function pauseMonitor(req, res) {
+    const job = monitoringService.pauseMonitoring(req.params.id);
+    if (!job) return notFound(res, req.params.id);
+    
+    res.status(200).json({
+        message: 'Monitor paused',
+        ...formatJob(job)
+    });
+}
+
+function resumeMonitor(req, res) {
+    const job = monitoringService.resumeMonitoring(req.params.id);
+    if (!job) return notFound(res, req.params.id);
+    
+    res.status(200).json({
+        message: 'Monitor resumed',
+        ...formatJob(job)
+    });
+}
+
+// Runs a check right away; ?dryRun=true (or { dryRun: true }) changes nothing and sends nothing
+async function checkMonitor(req, res) {
+    const job = monitoringService.getJob(req.params.id);
+    if (!job) return notFound(res, req.params.id);
+    
+    const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+    
+    if (dryRun) {
+        const result = await monitoringService.dryRunCheck(job.id);
+        if (!result) {
+            // Deleted while waiting for a free slot
+            return res.status(409).json({ error: 'Monitor was stopped before the check could run', id: job.id });
+        }
+        return res.status(200).json({
+            id: job.id,
+            ...result,
+            mode: result.stats?.mode || null,
+            pagesScraped: result.stats?.pagesScraped || 0,
+            changesCount: result.changes.length
+        });
+    }
+    
+    if (job.status === 'paused') {
+        return res.status(409).json({
+            error: 'Monitor is paused; resume it or use dryRun=true',
+            id: job.id
+        });
+    }
+    
+    const outcome = await monitoringService.requestCheck(job.id);
+    if (!outcome) {
+        // Deleted or paused while waiting for a free slot
+        return res.status(409).json({ error: 'Monitor was stopped before the check could run', id: job.id });
+    }
+    if (outcome.skipped) {
+        return res.status(409).json({ error: 'Monitor is checked by another instance', id: job.id, owner: outcome.owner });
+    }
+    
+    res.status(200).json({
+        id: job.id,
+        dryRun: false,
+        checkedAt: outcome.checkedAt,
+        mode: outcome.stats?.mode || null,
+        pagesScraped: outcome.stats?.pagesScraped || 0,
+        stats: outcome.stats,
+        changesCount: outcome.changes.length,
+        notifiedChanges: outcome.notifiedChanges,
+        changes: outcome.changes,
+        error: outcome.error,
+        nextCheck: job.nextCheckAt
+    });
+}
+
+// === Bulk Operations ===
+// All bulk endpoints take the selector from the query string (see parseSelector).
+// An empty selector is rejected so a typo can't pause or delete every monitor.
+function selectForBulk(req, res) {
+    const { errors, selector } = parseSelector(req.query);
+    if (Object.keys(selector).filter(key => key !== 'status').length === 0) {
+        errors.push('A bulk operation needs "group", "tag" or "ids"');
+    }
+    if (errors.length > 0) {
+        res.status(400).json({ errors });
+        return null;
+    }
+    return { selector, jobs: monitoringService.findJobs(selector) };
+}
+
+function bulkResult(action, selector, results) {
+    return {
+        action,
+        selector,
+        matched: results.length,
+        succeeded: results.filter(result => !result.error).map(result => result.id),
+        failed: results.filter(result => result.error)
+    };
+}
+
+function bulkPauseMonitors(req, res) {
+    const selection = selectForBulk(req, res);
+    if (!selection) return;
+    
+    const results = selection.jobs.map(job => {
+        monitoringService.pauseMonitoring(job.id);
+        return { id: job.id };
+    });
+    res.status(200).json(bulkResult('pause', selection.selector, results));
+}
+
+function bulkResumeMonitors(req, res) {
+    const selection = selectForBulk(req, res);
+    if (!selection) return;
+    
+    const results = selection.jobs.map(job => {
+        monitoringService.resumeMonitoring(job.id);
+        return { id: job.id };
+    });
+    res.status(200).json(bulkResult('resume', selection.selector, results));
+}
+
+function bulkDeleteMonitors(req, res) {
+    const selection = selectForBulk(req, res);
+    if (!selection) return;
+    
+    const results = selection.jobs.map(job => {
+        if (monitorConfig.isManaged(job)) return { id: job.id, error: 'Defined in the monitors config file' };
+        monitoringService.stopMonitoring(job.id);
+        return { id: job.id };
+    });
+    res.status(200).json(bulkResult('delete', selection.selector, results));
+}
+
+// Same body as PATCH /monitors/:id, except for fields that must stay unique per monitor
+function bulkUpdateMonitors(req, res) {
+    const selection = selectForBulk(req, res);
+    if (!selection) return;
+    
+    const body = req.body || {};
+    const { errors, updates } = parseMonitorBody(body, { requireUrl: false });
+    ['url', 'title'].filter(key => body[key] !== undefined).forEach(key => {
+        errors.push(`"${key}" can't be changed in bulk`);
+    });
+    if (Object.keys(updates).length === 0 && errors.length === 0) {
+        errors.push('No updatable fields given');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    
+    const results = selection.jobs.map(job => {
+        if (monitorConfig.isManaged(job)) return { id: job.id, error: 'Defined in the monitors config file' };
+        try {
+            monitoringService.updateMonitor(job.id, updates);
+            return { id: job.id };
+        } catch (error) {
+            return { id: job.id, error: error.message };
+        }
+    });
+    res.status(200).json({
+        ...bulkResult('update', selection.selector, results),
+        monitors: selection.jobs.map(job => formatJob(monitoringService.getJob(job.id)))
+    });
+}
+
+function getGroups(req, res) {
+    res.status(200).json(monitoringService.getGroupStats());
+}
+
+// Current monitors in the config file format (?format=yaml|json)
+function exportMonitors(req, res) {
+    const format = req.query.format || 'yaml';
+    if (!['yaml', 'json'].includes(format)) {
+        return res.status(400).json({ errors: ['"format" must be "yaml" or "json"'] });
+    }
+    
+    res.status(200)
+        .type(format === 'json' ? 'application/json' : 'text/yaml')
+        .attachment(`monitors.${format}`)
+        .send(monitorConfig.exportMonitors(format));
+}
+
+// === Change History ===
+function parseHistoryQuery(query) {
+    const errors = [];
+    const filters = {};
+    
+    if (query.type) {
+        filters.types = String(query.type).split(',').map(type => type.trim().toUpperCase()).filter(Boolean);
+    }
+    if (query.listingId) {
+        filters.listingId = String(query.listingId);
+    }
+    
+    for (const key of ['from', 'to']) {
+        if (query[key]) {
+            const date = new Date(query[key]);
+            if (isNaN(date.getTime())) {
+                errors.push(`"${key}" must be an ISO date`);
+            } else {
+                filters[key] = date.toISOString();
+            }
+        }
+    }
+    
+    const limit = query.limit !== undefined ? parseInt(query.limit, 10) : 50;
+    const offset = query.offset !== undefined ? parseInt(query.offset, 10) : 0;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        errors.push('"limit" must be between 1 and 500');
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        errors.push('"offset" must be 0 or greater');
+    }
+    filters.limit = limit;
+    filters.offset = offset;
+    
+    return { errors, filters };
+}
+
+async function getChangeHistory(req, res) {
+    const monitorId = req.params.id || req.query.monitorId || null;
+    if (req.params.id && !monitoringService.getJob(req.params.id)) {
+        return notFound(res, req.params.id);
+    }
+    
+    const { errors, filters } = parseHistoryQuery(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    filters.monitorId = monitorId;
+    
+    try {
+        const { total, changes } = await monitoringService.queryChangeHistory(filters);
+        res.status(200).json({
+            total,
+            limit: filters.limit,
+            offset: filters.offset,
+            hasMore: filters.offset + changes.length < total,
+            changes
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to query change history', details: error.message });
+    }
+}
+
+async function getCheckRuns(req, res) {
+    if (!monitoringService.getJob(req.params.id)) {
+        return notFound(res, req.params.id);
+    }
+    
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ errors: ['"limit" must be between 1 and 500'] });
+    }
+    
+    try {
+        const runs = await monitoringService.getCheckRuns(req.params.id, limit);
+        res.status(200).json({ limit, runs });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to query check runs', details: error.message });
+    }
+}
+
+// === Legacy URL-based endpoints ===
 async function startMonitoring(req, res) {
     const baseUrl = req.query.url;
     const intervalMinutes = parseInt(req.query.interval) || null;
@@ -13,7 +442,7 @@ async function startMonitoring(req, res) {
     if (!baseUrl) {
         return res.status(400).json({ error: 'A "url" query parameter is required.' });
     }
-
+    
     const fullUrl = rebuildUrl(req);
     
     try {
@@ -21,12 +450,13 @@ async function startMonitoring(req, res) {
         job.title = title || `Monitor ${job.checkCount}`;
         
         // Perform initial check
-        await monitoringService.performSmartMonitoringCheck(job.normalizedUrl);
+        await monitoringService.requestCheck(job.id);
         
         const nextCheckTime = job.nextCheckAt;
-
+        
         res.status(200).json({
             message: 'Monitoring started successfully',
+            id: job.id,
             title: job.title,
             normalizedUrl: job.normalizedUrl,
             webhookUrl: webhookUrl || 'Not configured',
@@ -44,9 +474,9 @@ async function startMonitoring(req, res) {
             }
         });
     } catch (error) {
-        res.status(500).json({ 
+        res.status(500).json({
             error: 'Failed to start monitoring',
-            details: error.message 
+            details: error.message
         });
     }
 }
@@ -57,55 +487,56 @@ function stopMonitoring(req, res) {
     if (!baseUrl) {
         return res.status(400).json({ error: 'A "url" query parameter is required.' });
     }
-
+    
     const fullUrl = rebuildUrl(req);
     const normalizedUrl = normalizeUrl(fullUrl);
-
-    const stopped = monitoringService.stopMonitoring(normalizedUrl);
+    const job = monitoringService.findJobByUrl(normalizedUrl);
     
-    if (!stopped) {
-        return res.status(404).json({ 
+    if (!job) {
+        return res.status(404).json({
             error: 'No monitoring job found for this URL',
             normalizedUrl: normalizedUrl,
             availableJobs: monitoringService.getAllJobs().map(job => job.normalizedUrl)
         });
     }
-
-    const job = monitoringService.getJob(normalizedUrl); // Get job before it's deleted
+    
+    monitoringService.stopMonitoring(job.id);
     
     res.status(200).json({
         message: 'Monitoring stopped successfully',
+        id: job.id,
         normalizedUrl: normalizedUrl,
-        totalChecks: job?.checkCount || 0,
-        totalChangesDetected: job?.changes?.length || 0
+        totalChecks: job.checkCount || 0,
+        totalChangesDetected: job.changes?.length || 0
     });
 }
 
 function getChanges(req, res) {
     const baseUrl = req.query.url;
     const clearAfterRead = req.query.clear === 'true';
+    const unfiltered = req.query.unfiltered === 'true';
     
     if (!baseUrl) {
         return res.status(400).json({ error: 'A "url" query parameter is required.' });
     }
-
+    
     const fullUrl = rebuildUrl(req);
     const normalizedUrl = normalizeUrl(fullUrl);
-
-    const job = monitoringService.getJob(normalizedUrl);
+    
+    const job = monitoringService.findJobByUrl(normalizedUrl);
     if (!job) {
-        return res.status(404).json({ 
+        return res.status(404).json({
             error: 'No monitoring job found for this URL',
             requestedUrl: fullUrl,
             normalizedUrl: normalizedUrl,
             availableJobs: monitoringService.getAllJobs().map(job => job.normalizedUrl)
         });
     }
-
-    const changes = monitoringService.getChanges(normalizedUrl, clearAfterRead);
-    const circuitBreaker = new CircuitBreaker(); // You might want to store circuit breakers separately
-
+    
+    const changes = monitoringService.getChanges(job.id, clearAfterRead, { unfiltered });
+    
     res.status(200).json({
+        id: job.id,
         normalizedUrl: normalizedUrl,
         monitoringStatus: {
             startedAt: job.startedAt,
@@ -116,49 +547,39 @@ function getChanges(req, res) {
             consecutiveErrors: job.consecutiveErrors,
             lastError: job.lastError,
             webhookUrl: job.webhookUrl || 'Not configured',
+            filters: job.filters || null,
             lastScrapingStats: job.lastScrapingStats,
-            circuitBreaker: circuitBreaker.getState ? circuitBreaker.getState() : null
+            circuitBreaker: monitoringService.getCircuitBreakerState(job.id)
         },
         changes: changes,
-        changesCount: changes.length
+        changesCount: changes.length,
+        filtered: !unfiltered && Boolean(job.filters)
     });
 }
 
 function getMonitoringStatus(req, res) {
     const activeJobs = monitoringService.getAllJobs();
-
-            formattedJobs = activeJobs.map(job => {
-        const circuitBreaker = new CircuitBreaker(); // You might want to store circuit breakers separately
-        
-        return {
-            title: job.title,
-            normalizedUrl: job.normalizedUrl,
-            originalUrl: job.originalUrl,
-            webhookUrl: job.webhookUrl || 'Not configured',
-            startedAt: job.startedAt,
-            lastCheck: job.lastCheck,
-            checkCount: job.checkCount,
-            currentInterval: `${(job.currentInterval / 60000).toFixed(1)} minutes`,
-            currentListingsCount: job.lastSnapshot?.length || 0,
-            pendingChanges: job.changes.length,
-            consecutiveErrors: job.consecutiveErrors,
-            lastError: job.lastError,
-            lastScrapingStats: job.lastScrapingStats,
-            circuitBreaker: circuitBreaker.getState ? circuitBreaker.getState() : null,
-            nextCheck: job.nextCheckAt
-        };
-    });
-
+    const formattedJobs = activeJobs.map(formatJob);
+    
     res.status(200).json({
-        activeMonitors: activeJobs.length,
+        totalMonitors: activeJobs.length,
+        activeMonitors: activeJobs.filter(job => job.status !== 'paused').length,
+        pausedMonitors: activeJobs.filter(job => job.status === 'paused').length,
         activeSessions: sessionManager.sessions.size,
         jobs: formattedJobs,
+        alerts: monitoringService.getAlerts(),
+        groups: monitoringService.getGroupStats(),
+        scheduler: monitoringService.getSchedulerStatus(),
+        coordination: monitoringService.getCoordinationStatus(),
+        monitorsFile: monitorConfig.getStatus(),
+        schemaFingerprints: schemaDrift.getState(),
         configuration: {
             minInterval: `${CONFIG.MIN_INTERVAL / 60000} minutes`,
             maxInterval: `${CONFIG.MAX_INTERVAL / 60000} minutes`,
             defaultInterval: `${CONFIG.DEFAULT_INTERVAL / 60000} minutes`,
             concurrentPages: CONFIG.CONCURRENT_PAGES,
-            peakHours: `${CONFIG.PEAK_HOURS_START}:00 - ${CONFIG.PEAK_HOURS_END}:00`,
+            concurrentMonitors: CONFIG.SCHEDULER.CONCURRENCY,
+            peakHours: `${CONFIG.PEAK_HOURS_START}:00 - ${CONFIG.PEAK_HOURS_END}:00 (${CONFIG.TIMEZONE})`,
             isPeakHours: isPeakHours(),
             headlessBrowser: CONFIG.USE_HEADLESS_BROWSER,
             browserPoolSize: CONFIG.BROWSER_POOL_SIZE,
@@ -173,6 +594,22 @@ function getMonitoringStatus(req, res) {
 }
 
 module.exports = {
+    createMonitor,
+    listMonitors,
+    getMonitor,
+    updateMonitor,
+    deleteMonitor,
+    pauseMonitor,
+    resumeMonitor,
+    checkMonitor,
+    bulkPauseMonitors,
+    bulkResumeMonitors,
+    bulkDeleteMonitors,
+    bulkUpdateMonitors,
+    getGroups,
+    exportMonitors,
+    getChangeHistory,
+    getCheckRuns,
     startMonitoring,
     stopMonitoring,
     getChanges,
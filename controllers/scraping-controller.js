@@ -1,6 +1,7 @@
-const { scrapeWillhabenPage, scrapeAllPagesParallel } = require('../services/scraping-service');
+const { scrapeWillhabenPage, scrapeAllPagesParallel, scrapeListingDetails } = require('../services/scraping-service');
 const { rebuildUrl } = require('../utils/helpers');
 const { getSystemSnapshot, diffUsage } = require('../utils/system-monitor');
+const { sendScrapeError } = require('../utils/scrape-errors');
 
 async function getListings(req, res) {
     const baseUrl = req.query.url;
@@ -23,7 +24,7 @@ async function getListings(req, res) {
             }
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendScrapeError(res, error);
     }
 }
 
@@ -48,11 +49,36 @@ async function getAllListings(req, res) {
             }
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendScrapeError(res, error);
+    }
+}
+
+async function getListingDetails(req, res) {
+    const target = req.query.url || req.query.id;
+    if (!target) return res.status(400).json({ error: 'A "url" or "id" query parameter is required.' });
+
+    const startSnapshot = getSystemSnapshot();
+
+    try {
+        const details = await scrapeListingDetails(target);
+        const endSnapshot = getSystemSnapshot();
+        const usage = diffUsage(startSnapshot, endSnapshot);
+
+        res.status(200).json({
+            ...details,
+            systemInfo: {
+                started: startSnapshot.timestamp,
+                finished: endSnapshot.timestamp,
+                usage
+            }
+        });
+    } catch (error) {
+        sendScrapeError(res, error);
     }
 }
 
 module.exports = {
     getListings,
-    getAllListings
+    getAllListings,
+    getListingDetails
 };
\ No newline at end of file
@@ -0,0 +1,20 @@
+// Liest den ersten vorhandenen Wert aus einer Liste möglicher Attributnamen
+function firstValue(attributes, names) {
+    for (const name of names) {
+        const value = attributes[name]?.[0];
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return null;
+}
+
+function firstNumber(attributes, names) {
+    const value = firstValue(attributes, names);
+    if (value === null) return null;
+    const number = Number(String(value).replace(/\s/g, '').replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+}
+
+module.exports = {
+    firstValue,
+    firstNumber
+};
@@ -0,0 +1,60 @@
+// Extractor für Gebrauchtwagen (gebrauchtwagenboerse, motor vertical)
+const { firstValue, firstNumber } = require('./attribute-helpers');
+
+const MOTOR_VERTICAL_ID = 3;
+const KW_TO_HP = 1.35962;
+
+function parseFirstRegistration(attributes) {
+    // "03/2015" oder "2015-03"
+    const raw = firstValue(attributes, ['INITIAL_REGISTRATION', 'FIRST_REGISTRATION', 'REGISTRATION_DATE']);
+    if (raw) {
+        let match = raw.match(/^(\d{1,2})\/(\d{4})$/);
+        if (match) return { year: Number(match[2]), month: Number(match[1]) };
+        match = raw.match(/^(\d{4})-(\d{1,2})/);
+        if (match) return { year: Number(match[1]), month: Number(match[2]) };
+    }
+
+    const year = firstNumber(attributes, ['YEAR_MODEL', 'CAR_YEAR']);
+    return year ? { year, month: null } : null;
+}
+
+function ageInYears(firstRegistration, now = new Date()) {
+    if (!firstRegistration) return null;
+    const month = firstRegistration.month || 7; // ohne Monat: Jahresmitte annehmen
+    const months = (now.getFullYear() - firstRegistration.year) * 12 + (now.getMonth() + 1 - month);
+    return Math.max(months / 12, 0);
+}
+
+module.exports = {
+    name: 'cars',
+    urlCategory: 'gebrauchtwagen',
+
+    matches(advert, listing, context = {}) {
+        if (advert.verticalId === MOTOR_VERTICAL_ID) return true;
+        if (context.searchUrl && /\/iad\/(gebrauchtwagen|auto)\//.test(context.searchUrl)) return true;
+        return Boolean(listing.attributes['CAR_MODEL/MAKE'] && listing.attributes.MILEAGE);
+    },
+
+    extract(listing) {
+        const attributes = listing.attributes;
+        const firstRegistration = parseFirstRegistration(attributes);
+        const mileage = firstNumber(attributes, ['MILEAGE']);
+        const powerKw = firstNumber(attributes, ['ENGINE/EFFECT', 'POWER_KW']);
+        const age = ageInYears(firstRegistration);
+
+        return {
+            make: firstValue(attributes, ['CAR_MODEL/MAKE_RESOLVED', 'CAR_MODEL/MAKE']),
+            model: firstValue(attributes, ['CAR_MODEL/MODEL_RESOLVED', 'CAR_MODEL/MODEL']),
+            firstRegistration,
+            mileage,
+            fuel: firstValue(attributes, ['ENGINE/FUEL_RESOLVED', 'ENGINE/FUEL']),
+            transmission: firstValue(attributes, ['TRANSMISSION_RESOLVED', 'TRANSMISSION']),
+            powerKw,
+            derived: {
+                powerHp: powerKw !== null ? Math.round(powerKw * KW_TO_HP) : null,
+                ageYears: age !== null ? Math.round(age * 10) / 10 : null,
+                kmPerYear: mileage !== null && age ? Math.round(mileage / Math.max(age, 1)) : null
+            }
+        };
+    }
+};
@@ -0,0 +1,33 @@
+// === Vertical Extractors ===
+// Ein Extractor erkennt eine Rubrik (matches) und liefert strukturierte Domänenfelder
+// inklusive abgeleiteter Werte (extract). Neue Rubriken werden per registerExtractor ergänzt.
+const cars = require('./cars');
+const realEstate = require('./real-estate');
+
+const GENERAL_VERTICAL = 'general';
+const extractors = [];
+
+function registerExtractor(extractor) {
+    if (!extractor.name || typeof extractor.matches !== 'function' || typeof extractor.extract !== 'function') {
+        throw new Error('An extractor needs a name, matches() and extract()');
+    }
+    extractors.push(extractor);
+}
+
+function findExtractor(advert, listing, context) {
+    return extractors.find(extractor => extractor.matches(advert, listing, context)) || null;
+}
+
+function getExtractor(name) {
+    return extractors.find(extractor => extractor.name === name) || null;
+}
+
+registerExtractor(cars);
+registerExtractor(realEstate);
+
+module.exports = {
+    GENERAL_VERTICAL,
+    registerExtractor,
+    findExtractor,
+    getExtractor
+};
@@ -0,0 +1,45 @@
+// Extractor für Immobilien (Wohnungen, Häuser, Grundstücke)
+const { firstValue, firstNumber } = require('./attribute-helpers');
+
+const ESTATE_VERTICAL_ID = 2;
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    name: 'real-estate',
+    urlCategory: 'immobilien',
+
+    matches(advert, listing, context = {}) {
+        if (advert.verticalId === ESTATE_VERTICAL_ID) return true;
+        if (context.searchUrl && /\/iad\/immobilien\//.test(context.searchUrl)) return true;
+        return Object.keys(listing.attributes).some(name => name.startsWith('ESTATE_SIZE'));
+    },
+
+    extract(listing) {
+        const attributes = listing.attributes;
+        const livingArea = firstNumber(attributes, ['ESTATE_SIZE/LIVING_AREA', 'ESTATE_SIZE/USEABLE_AREA', 'ESTATE_SIZE']);
+        const rooms = firstNumber(attributes, ['NUMBER_OF_ROOMS', 'ROOMS']);
+        const operatingCosts = firstNumber(attributes, [
+            'ESTATE_PRICE/OPERATING_COSTS',
+            'OPERATING_COSTS',
+            'RENT/PER_MONTH_OPERATING_COSTS',
+            'ADDITIONAL_COST/FEE'
+        ]);
+        const price = listing.price?.amount ?? null;
+
+        return {
+            propertyType: firstValue(attributes, ['PROPERTY_TYPE', 'ESTATE_TYPE']),
+            livingArea,
+            rooms,
+            pricePerSqm: firstNumber(attributes, ['ESTATE_PRICE/PRICE_PER_SQM', 'PRICE_PER_SQM']),
+            operatingCosts,
+            derived: {
+                pricePerSqm: price !== null && livingArea ? round2(price / livingArea) : null,
+                operatingCostsPerSqm: operatingCosts !== null && livingArea ? round2(operatingCosts / livingArea) : null,
+                areaPerRoom: livingArea && rooms ? round2(livingArea / rooms) : null
+            }
+        };
+    }
+};
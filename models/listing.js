@@ -0,0 +1,306 @@
+// === Listing Schema ===
+// Jede Anzeige, die von Endpoints, Monitor-Snapshots und Webhooks ausgegeben wird,
+// hat diese Form (SCHEMA_VERSION 3):
+//
+// {
+//   id:          string                  Anzeigen-ID
+//   title:       string                  Überschrift der Anzeige
+//   description: string | null           Anzeigentext (Teaser in Suchergebnissen, voll in Details)
+//   url:         string | null
+//   price: {
+//     amount:     number | null           null wenn kein Preis angegeben ist
+//     currency:   'EUR'
+//     negotiable: boolean                 "VB" / Verhandlungsbasis
+//     free:       boolean                 "Zu verschenken"
+//     display:    string | null           Preis wie auf willhaben angezeigt
+//   }
+//   location: {
+//     address, postcode, district, state, country: string | null   (postcode bleibt String)
+//     lat, lon: number | null
+//   }
+//   publishedAt: string | null           ISO 8601
+//   updatedAt:   string | null           ISO 8601
+//   seller: {
+//     type: 'private' | 'commercial' | null
+//     name: string | null
+//   }
+//   status:     string | null            willhaben-Anzeigenstatus, z.B. 'active', 'reserved', 'sold'
+//   images:     string[]                 Bild-URLs in voller Größe
+//   attributes: { [NAME]: string[] }     alle Rohattribute mit allen Werten, unverändert
+//   vertical:   'cars' | 'real-estate' | 'general'
+//   details:    object | null            rubrikspezifische Felder, siehe models/extractors
+//   lifecycle?: {                        nur bei Listings aus Monitoren
+//     firstSeenAt, lastSeenAt: string, removedAt: string | null,
+//     daysOnMarket: number, relistCount: number
+//   }
+// }
+
+const { GENERAL_VERTICAL, findExtractor } = require('./extractors');
+
+const SCHEMA_VERSION = 3;
+const WILLHABEN_BASE_URL = 'https://www.willhaben.at';
+
+function getAttributeValues(advert) {
+    const attributes = {};
+    (advert.attributes?.attribute || []).forEach(element => {
+        attributes[element.name] = (element.values || []).map(value => String(value));
+    });
+    return attributes;
+}
+
+function htmlToText(html) {
+    if (!html) return null;
+    return html
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/p>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function parseNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(String(value).replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+}
+
+function parseCoordinates(value) {
+    if (!value) return { lat: null, lon: null };
+    const [lat, lon] = value.split(',').map(v => parseNumber(v.trim()));
+    return { lat, lon };
+}
+
+function toIsoDate(value) {
+    if (!value) return null;
+    const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Fallback für Anzeigen ohne erkannte Rubrik: Schlüsselwortsuche im Kategorie-Attribut
+function guessCategory(attributes) {
+    const categoryName = Object.keys(attributes).find(name =>
+        name.toLowerCase().includes('category') || name.toLowerCase().includes('section')
+    );
+    const catValue = categoryName ? (attributes[categoryName][0] || '').toLowerCase() : '';
+
+    if (catValue.includes('immo') || catValue.includes('wohnung') || catValue.includes('haus')) {
+        return 'immobilien';
+    } else if (catValue.includes('auto') || catValue.includes('fahrzeug')) {
+        return 'auto';
+    } else if (catValue.includes('job')) {
+        return 'jobs';
+    }
+    return 'kaufen-und-verkaufen';
+}
+
+function resolveListingUrl(advert, urlCategory) {
+    const links = advert.contextLinkList?.contextLink || [];
+    const webLink = links.find(link =>
+        link.uri && !link.uri.includes('api.willhaben') && !link.uri.includes('/restapi/')
+    );
+
+    if (webLink) {
+        return webLink.uri.startsWith('http') ? webLink.uri : `${WILLHABEN_BASE_URL}${webLink.uri}`;
+    }
+
+    if (links.length === 0) return null;
+
+    const slug = (advert.description || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .substring(0, 50);
+
+    const category = urlCategory || guessCategory(getAttributeValues(advert));
+    return `${WILLHABEN_BASE_URL}/iad/${category}/d/${slug}-${advert.id}`;
+}
+
+function buildPrice(first) {
+    const amount = parseNumber(first('PRICE'));
+    const display = first('PRICE_FOR_DISPLAY');
+    const displayText = (display || '').toLowerCase();
+
+    return {
+        amount,
+        currency: 'EUR',
+        negotiable: /\bvb\b|verhandlungsbasis/.test(displayText),
+        free: amount === 0 || /verschenken|gratis/.test(displayText),
+        display
+    };
+}
+
+function buildSeller(advert, first) {
+    const isPrivate = first('ISPRIVATE');
+    let type = null;
+    if (isPrivate !== null) {
+        type = isPrivate === '1' ? 'private' : 'commercial';
+    } else if (advert.organisationDetails) {
+        type = 'commercial';
+    }
+
+    return {
+        type,
+        name: advert.organisationDetails?.orgName
+            || advert.sellerProfileUserData?.name
+            || advert.advertContactDetails?.contactName
+            || first('ORGNAME')
+            || null
+    };
+}
+
+function toStringOrNull(value) {
+    return value === null || value === undefined || value === '' ? null : String(value);
+}
+
+function buildLocation(advert, first) {
+    const address = advert.advertAddressDetails || {};
+    return {
+        address: toStringOrNull(address.address || first('LOCATION/ADDRESS_2') || first('ADDRESS')),
+        postcode: toStringOrNull(address.postCode || first('POSTCODE')),
+        district: toStringOrNull(address.postalName || first('DISTRICT') || first('LOCATION')),
+        state: toStringOrNull(address.province || first('STATE')),
+        country: toStringOrNull(address.country || first('COUNTRY')),
+        ...parseCoordinates(first('COORDINATES'))
+    };
+}
+
+function buildImages(advert) {
+    return (advert.advertImageList?.advertImage || [])
+        .map(img => img.referenceImageUrl || img.mainImageUrl || img.url)
+        .filter(Boolean);
+}
+
+// Wandelt ein rohes willhaben-Advert (Suchergebnis oder Detailseite) in das Listing-Schema um
+function normalizeListing(advert, options = {}) {
+    const attributes = getAttributeValues(advert);
+    const first = (name) => attributes[name]?.[0] ?? null;
+
+    const listing = {
+        id: String(advert.id),
+        title: advert.description || '',
+        description: htmlToText(first('DESCRIPTION') ?? first('BODY_DYN')),
+        url: null,
+        price: buildPrice(first),
+        location: buildLocation(advert, first),
+        publishedAt: toIsoDate(advert.firstPublishedDate || advert.publishedDate || first('PUBLISHED_String') || first('PUBLISHED')),
+        updatedAt: toIsoDate(advert.changedDate || first('CHANGED_String') || first('CHANGED')),
+        seller: buildSeller(advert, first),
+        status: toStringOrNull(advert.advertStatus?.id)?.toLowerCase() ?? null,
+        images: buildImages(advert),
+        attributes,
+        vertical: GENERAL_VERTICAL,
+        details: null
+    };
+
+    const extractor = findExtractor(advert, listing, { searchUrl: options.searchUrl });
+    if (extractor) {
+        listing.vertical = extractor.name;
+        listing.details = extractor.extract(listing);
+    }
+    listing.url = options.url || resolveListingUrl(advert, extractor?.urlCategory);
+
+    return listing;
+}
+
+// === Validation ===
+function isStringOrNull(value) {
+    return value === null || typeof value === 'string';
+}
+
+function isNumberOrNull(value) {
+    return value === null || (typeof value === 'number' && Number.isFinite(value));
+}
+
+function validateListing(listing) {
+    const errors = [];
+
+    if (!listing || typeof listing !== 'object') {
+        return { valid: false, errors: ['listing must be an object'] };
+    }
+
+    if (typeof listing.id !== 'string' || listing.id.length === 0) errors.push('id must be a non-empty string');
+    if (typeof listing.title !== 'string') errors.push('title must be a string');
+    if (!isStringOrNull(listing.description)) errors.push('description must be a string or null');
+    if (!isStringOrNull(listing.url)) errors.push('url must be a string or null');
+
+    const price = listing.price;
+    if (!price || typeof price !== 'object') {
+        errors.push('price must be an object');
+    } else {
+        if (!isNumberOrNull(price.amount)) errors.push('price.amount must be a number or null');
+        if (price.currency !== 'EUR') errors.push('price.currency must be "EUR"');
+        if (typeof price.negotiable !== 'boolean') errors.push('price.negotiable must be a boolean');
+        if (typeof price.free !== 'boolean') errors.push('price.free must be a boolean');
+        if (!isStringOrNull(price.display)) errors.push('price.display must be a string or null');
+    }
+
+    const location = listing.location;
+    if (!location || typeof location !== 'object') {
+        errors.push('location must be an object');
+    } else {
+        ['address', 'postcode', 'district', 'state', 'country'].forEach(key => {
+            if (!isStringOrNull(location[key] ?? null)) errors.push(`location.${key} must be a string or null`);
+        });
+        ['lat', 'lon'].forEach(key => {
+            if (!isNumberOrNull(location[key] ?? null)) errors.push(`location.${key} must be a number or null`);
+        });
+    }
+
+    if (!isStringOrNull(listing.publishedAt)) errors.push('publishedAt must be an ISO string or null');
+    if (!isStringOrNull(listing.updatedAt)) errors.push('updatedAt must be an ISO string or null');
+
+    // status kam erst mit Version 3 dazu; ältere Snapshots bleiben gültig
+    if (!isStringOrNull(listing.status ?? null)) errors.push('status must be a string or null');
+
+    const seller = listing.seller;
+    if (!seller || typeof seller !== 'object') {
+        errors.push('seller must be an object');
+    } else {
+        if (![null, 'private', 'commercial'].includes(seller.type)) errors.push('seller.type must be "private", "commercial" or null');
+        if (!isStringOrNull(seller.name)) errors.push('seller.name must be a string or null');
+    }
+
+    if (!Array.isArray(listing.images) || listing.images.some(img => typeof img !== 'string')) {
+        errors.push('images must be an array of strings');
+    }
+
+    if (!listing.attributes || typeof listing.attributes !== 'object' || Array.isArray(listing.attributes)) {
+        errors.push('attributes must be an object');
+    } else {
+        for (const [name, values] of Object.entries(listing.attributes)) {
+            if (!Array.isArray(values) || values.some(v => typeof v !== 'string')) {
+                errors.push(`attributes.${name} must be an array of strings`);
+            }
+        }
+    }
+
+    if (typeof listing.vertical !== 'string') errors.push('vertical must be a string');
+    if (listing.details !== null && (typeof listing.details !== 'object' || Array.isArray(listing.details))) {
+        errors.push('details must be an object or null');
+    }
+
+    if (listing.lifecycle !== undefined) {
+        const lifecycle = listing.lifecycle;
+        if (!lifecycle || typeof lifecycle !== 'object') {
+            errors.push('lifecycle must be an object');
+        } else if (typeof lifecycle.firstSeenAt !== 'string' || typeof lifecycle.daysOnMarket !== 'number'
+            || typeof lifecycle.relistCount !== 'number') {
+            errors.push('lifecycle must have firstSeenAt, daysOnMarket and relistCount');
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    normalizeListing,
+    validateListing,
+    getAttributeValues
+};
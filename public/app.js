@@ -71,6 +71,16 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Monitor fields are user input; never put them into innerHTML unescaped
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // Update monitors list
     async function updateMonitorsList() {
         try {
@@ -97,7 +107,9 @@ document.addEventListener('DOMContentLoaded', () => {
             }
 
             console.log('Jobs data:', status.jobs);
-            activeMonitorsContainer.innerHTML = status.jobs.map(job => {
+            // Keep monitors of the same group together, ungrouped ones last
+            const jobs = [...status.jobs].sort((a, b) => (a.group || '\uffff').localeCompare(b.group || '\uffff'));
+            activeMonitorsContainer.innerHTML = jobs.map(job => {
                 const nextCheckDate = job.nextCheck ? new Date(job.nextCheck) : null;
                 const interval = job.currentInterval ? (job.currentInterval / 60000).toFixed(1) : null;
                 
@@ -108,7 +120,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         <div class="monitor-header">
                             <div class="monitor-status-badge ${nextCheckDate ? 'status-active pulse' : 'status-inactive'}">
                                 <span class="status-dot"></span>
-                                ${nextCheckDate ? 'Active' : 'Inactive'}
+                                ${job.status === 'paused' ? 'Paused' : (nextCheckDate ? 'Active' : 'Inactive')}
                             </div>
                             <button 
                                 class="monitor-stop" 
@@ -124,15 +136,22 @@ document.addEventListener('DOMContentLoaded', () => {
 
                         <div class="monitor-main">
                             <h3 class="monitor-title">
-                                ${job.title || 'Untitled Monitor'}
+                                ${escapeHtml(job.title || 'Untitled Monitor')}
                                 <span class="listing-count" title="Number of listings found">
                                     ${job.currentListingsCount || 0}
                                 </span>
                             </h3>
                             
+                            ${job.group || (job.tags && job.tags.length > 0) ? `
+                            <div class="monitor-tags">
+                                ${job.group ? `<span class="monitor-group">${escapeHtml(job.group)}</span>` : ''}
+                                ${(job.tags || []).map(tag => `<span class="monitor-tag">#${escapeHtml(tag)}</span>`).join('')}
+                            </div>
+                            ` : ''}
+                            
                             <div class="monitor-url-section">
                                 <div class="url-label">URL</div>
-                                <div class="monitor-url">${job.normalizedUrl || 'Unknown URL'}</div>
+                                <div class="monitor-url">${escapeHtml(job.normalizedUrl || 'Unknown URL')}</div>
                             </div>
                         </div>
 
@@ -153,7 +172,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         ${job.webhookUrl ? `
                         <div class="monitor-webhook">
                             <div class="webhook-label">Webhook</div>
-                            <div class="webhook-url">${job.webhookUrl}</div>
+                            <div class="webhook-url">${escapeHtml(job.webhookUrl)}</div>
                         </div>
                         ` : ''}
                     </div>
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin-controller');
+
+// Storage and retention
+router.get('/admin/storage', adminController.getStorage);
+router.post('/admin/prune', adminController.prune);
+
+// Backup and restore of data/monitors.db
+router.get('/admin/backup', adminController.getBackup);
+router.post('/admin/restore', adminController.restoreBackup);
+
+module.exports = router;
\ No newline at end of file
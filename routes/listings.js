@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const listingController = require('../controllers/listing-controller');
+
+// Listing history endpoints
+router.get('/listings/:id/history', listingController.getListingHistory);
+
+module.exports = router;
\ No newline at end of file
@@ -2,7 +2,30 @@ const express = require('express');
 const router = express.Router();
 const monitoringController = require('../controllers/monitoring-controller');
 
-// Monitoring endpoints
+// Bulk operations on a group, tag or ID list (?group=&tag=&ids=); before /monitors/:id
+router.patch('/monitors/bulk', monitoringController.bulkUpdateMonitors);
+router.delete('/monitors/bulk', monitoringController.bulkDeleteMonitors);
+router.post('/monitors/bulk/pause', monitoringController.bulkPauseMonitors);
+router.post('/monitors/bulk/resume', monitoringController.bulkResumeMonitors);
+router.get('/groups', monitoringController.getGroups);
+router.get('/monitors/export', monitoringController.exportMonitors);
+
+// Monitor CRUD
+router.post('/monitors', monitoringController.createMonitor);
+router.get('/monitors', monitoringController.listMonitors);
+router.get('/monitors/:id', monitoringController.getMonitor);
+router.patch('/monitors/:id', monitoringController.updateMonitor);
+router.delete('/monitors/:id', monitoringController.deleteMonitor);
+router.post('/monitors/:id/pause', monitoringController.pauseMonitor);
+router.post('/monitors/:id/resume', monitoringController.resumeMonitor);
+router.post('/monitors/:id/check', monitoringController.checkMonitor);
+router.get('/monitors/:id/changes', monitoringController.getChangeHistory);
+router.get('/monitors/:id/runs', monitoringController.getCheckRuns);
+
+// Change history across all monitors
+router.get('/changes', monitoringController.getChangeHistory);
+
+// Legacy URL-based monitoring endpoints
 router.get('/startMonitoring', monitoringController.startMonitoring);
 router.get('/stopMonitoring', monitoringController.stopMonitoring);
 router.get('/getChanges', monitoringController.getChanges);
@@ -5,5 +5,6 @@ const scrapingController = require('../controllers/scraping-controller');
 // Basic scraping endpoints
 router.get('/getListings', scrapingController.getListings);
 router.get('/getAllListings', scrapingController.getAllListings);
+router.get('/getListingDetails', scrapingController.getListingDetails);
 
 module.exports = router;
\ No newline at end of file
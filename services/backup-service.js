@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const persistence = require('../utils/persistence');
+const monitoringService = require('./monitoring-service');
+const monitorConfig = require('./monitor-config');
+
+// === Backup & Restore ===
+// A backup is a plain copy of data/monitors.db taken with SQLite's online backup API,
+// optionally gzipped. Restoring validates the file first, then stops all checks, copies it
+// into the open database and reloads the monitors. The database as it was before the
+// restore is kept next to it as monitors.db.pre-restore-<timestamp>.bak.
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+class InvalidBackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidBackupError';
+    }
+}
+
+let restoring = false;
+
+function timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function tempFile(label) {
+    return path.join(os.tmpdir(), `willhaben-${label}-${timestamp()}-${crypto.randomBytes(3).toString('hex')}.db`);
+}
+
+// Takes a consistent copy into a temp file; call remove() once it has been read
+async function createBackup() {
+    const file = tempFile('backup');
+    try {
+        await persistence.backupTo(file);
+    } catch (error) {
+        await fs.promises.rm(file, { force: true });
+        throw error;
+    }
+    const { size } = await fs.promises.stat(file);
+    return {
+        file,
+        bytes: size,
+        fileName: `monitors-${timestamp()}.db`,
+        remove: () => fs.promises.rm(file, { force: true })
+    };
+}
+
+// Writes the backup to destination (an HTTP response) and removes the temp file.
+// A client that disconnects midway only costs a log line.
+async function streamBackup(backup, destination, { gzip = false } = {}) {
+    const stages = gzip ? [zlib.createGzip()] : [];
+    try {
+        await pipeline(fs.createReadStream(backup.file), ...stages, destination);
+    } catch (error) {
+        console.warn(`[Backup] Download aborted: ${error.message}`);
+    } finally {
+        await backup.remove();
+    }
+}
+
+async function isGzipped(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const header = Buffer.alloc(2);
+        await handle.read(header, 0, 2, 0);
+        return header.equals(GZIP_MAGIC);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Returns a plain database file for the upload; gzipped uploads are unpacked to a temp file
+async function unpack(file) {
+    if (!(await isGzipped(file))) return { file, remove: async () => {} };
+
+    const unpacked = tempFile('restore');
+    try {
+        await pipeline(fs.createReadStream(file), zlib.createGunzip(), fs.createWriteStream(unpacked));
+    } catch (error) {
+        await fs.promises.rm(unpacked, { force: true });
+        throw new InvalidBackupError(`Could not unpack backup: ${error.message}`);
+    }
+    return { file: unpacked, remove: () => fs.promises.rm(unpacked, { force: true }) };
+}
+
+async function validateBackup(file) {
+    try {
+        return await persistence.inspectBackup(file);
+    } catch (error) {
+        throw new InvalidBackupError(`Not a usable backup: ${error.message}`);
+    }
+}
+
+// file: a backup as returned by GET /api/admin/backup, gzipped or not
+async function restoreBackup(file) {
+    if (restoring) throw new Error('A restore is already running');
+    restoring = true;
+
+    const candidate = await unpack(file).catch(error => {
+        restoring = false;
+        throw error;
+    });
+    try {
+        const backup = await validateBackup(candidate.file);
+        const preRestoreBackup = `${persistence.dbPath}.pre-restore-${timestamp()}.bak`;
+        await persistence.backupTo(preRestoreBackup);
+
+        console.log(`[Backup] Restoring backup with ${backup.monitors} monitors (schema ${backup.version})`);
+        await monitoringService.suspendAllJobs();
+        try {
+            await persistence.restoreFrom(candidate.file);
+        } finally {
+            // Also after a failed copy: the checks resume on whatever the database holds now
+            await monitoringService.reloadAllJobs();
+        }
+
+        // Monitors from MONITORS_FILE are put back in line with the file
+        const monitorsFile = monitorConfig.getStatus()?.file;
+        if (monitorsFile) {
+            await monitorConfig.reconcile(monitorsFile).catch(error => {
+                console.warn(`[Backup] Could not re-apply ${monitorsFile}: ${error.message}`);
+            });
+        }
+
+        const monitors = monitoringService.getAllJobs().length;
+        console.log(`[Backup] Restore complete, ${monitors} monitors loaded; previous database kept at ${preRestoreBackup}`);
+        return {
+            restoredAt: new Date().toISOString(),
+            backupSchemaVersion: backup.version,
+            migration: persistence.migration,
+            monitors,
+            preRestoreBackup
+        };
+    } finally {
+        await candidate.remove();
+        restoring = false;
+    }
+}
+
+module.exports = {
+    InvalidBackupError,
+    createBackup,
+    streamBackup,
+    restoreBackup
+};
\ No newline at end of file
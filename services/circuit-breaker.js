@@ -50,6 +50,23 @@ class CircuitBreaker {
         }
     }
     
+    // Plain state for sharing between instances (services/coordination.js)
+    toJSON() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            nextAttempt: this.nextAttempt,
+            successCount: this.successCount
+        };
+    }
+    
+    restore({ state, failures, nextAttempt, successCount }) {
+        this.state = state;
+        this.failures = failures;
+        this.nextAttempt = nextAttempt;
+        this.successCount = successCount;
+    }
+    
     getState() {
         return {
             state: this.state,
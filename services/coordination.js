@@ -0,0 +1,207 @@
+const os = require('os');
+const crypto = require('crypto');
+const config = require('../config/config');
+const CONFIG = require('../config/constants');
+const persistence = require('../utils/persistence');
+
+// === Multi-Instance Coordination ===
+// Optional, active when REDIS_HOST is set. Every instance schedules all monitors it knows,
+// but a check only runs on the instance holding the monitor's lease in Redis:
+//
+//   <prefix>lease:<monitorId>    instance id, expires after LEASE_TTL unless renewed
+//   <prefix>breaker:<monitorId>  circuit breaker state of the last owner
+//   <prefix>cursor:<monitorId>   baseline of the last check (listing versions, pending removals, ...)
+//
+// The owner renews its leases on a heartbeat. If it dies, the leases expire and the next
+// instance whose check comes due takes the monitor over, continuing from the shared cursor
+// and breaker state instead of re-reporting everything its own stale snapshot differs in.
+// The cursor names the snapshot's listings by ID and version hash only; the new owner
+// rebuilds the listings from its own database (see restoreSharedState).
+// Without Redis (or while it is unreachable) nothing is shared; see acquireLease.
+
+// 0 = held by another instance, 1 = renewed, 2 = newly acquired
+const ACQUIRE_SCRIPT = `
+local owner = redis.call('GET', KEYS[1])
+if owner == ARGV[1] then
+    redis.call('PEXPIRE', KEYS[1], ARGV[2])
+    return 1
+end
+if owner then return 0 end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+return 2`;
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+const CURSOR_FIELDS = ['pendingRemovals', 'lastTotalListings', 'lastReconcileAt', 'lastCheck', 'checkCount'];
+
+class Coordination {
+    constructor() {
+        this.enabled = Boolean(config.redis.host);
+        this.instanceId = config.instanceId || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+        this.client = null;
+        this.leases = new Set();    // Monitore, deren Lease diese Instanz hält
+        this.heartbeat = null;
+        this.lastError = null;
+    }
+
+    key(type, monitorId) {
+        return `${config.redis.keyPrefix}${type}:${monitorId}`;
+    }
+
+    get connected() {
+        return Boolean(this.client?.isReady);
+    }
+
+    async connect() {
+        if (!this.enabled || this.client) return;
+
+        const { createClient } = require('redis');
+        this.client = createClient({
+            socket: { host: config.redis.host, port: config.redis.port },
+            password: config.redis.password,
+            // Fail fast while disconnected instead of queueing lease calls until Redis is back
+            disableOfflineQueue: true
+        });
+        this.client.on('error', (error) => {
+            if (this.lastError !== error.message) {
+                console.warn(`[Coordination] Redis error: ${error.message}`);
+            }
+            this.lastError = error.message;
+        });
+        this.client.on('ready', () => {
+            this.lastError = null;
+            console.log(`[Coordination] Connected to Redis as instance ${this.instanceId}`);
+        });
+
+        this.heartbeat = setInterval(() => this.renewLeases(), CONFIG.COORDINATION.RENEW_INTERVAL);
+        if (this.heartbeat.unref) this.heartbeat.unref();
+
+        await this.client.connect().catch(error => {
+            this.lastError = error.message;
+            console.warn(`[Coordination] Could not connect to Redis: ${error.message}`);
+        });
+    }
+
+    // Resolves to { acquired, takenOver, owner }. Without coordination every check is local.
+    // If Redis is configured but unreachable, no instance can prove ownership and the check
+    // is skipped: missing a few checks is preferable to every replica sending the same webhooks.
+    async acquireLease(monitorId) {
+        if (!this.enabled) return { acquired: true, takenOver: false, owner: this.instanceId };
+
+        try {
+            const result = await this.client.eval(ACQUIRE_SCRIPT, {
+                keys: [this.key('lease', monitorId)],
+                arguments: [this.instanceId, String(CONFIG.COORDINATION.LEASE_TTL)]
+            });
+
+            if (result === 0) {
+                this.leases.delete(monitorId);
+                const owner = await this.client.get(this.key('lease', monitorId));
+                return { acquired: false, takenOver: false, owner };
+            }
+            this.leases.add(monitorId);
+            return { acquired: true, takenOver: result === 2, owner: this.instanceId };
+        } catch (error) {
+            this.leases.delete(monitorId);
+            console.warn(`[Coordination] Lease for ${monitorId} unavailable: ${error.message}`);
+            return { acquired: false, takenOver: false, owner: null };
+        }
+    }
+
+    async releaseLease(monitorId) {
+        this.leases.delete(monitorId);
+        if (!this.connected) return;
+
+        await this.client.eval(RELEASE_SCRIPT, {
+            keys: [this.key('lease', monitorId)],
+            arguments: [this.instanceId]
+        }).catch(error => {
+            console.warn(`[Coordination] Failed to release lease for ${monitorId}: ${error.message}`);
+        });
+    }
+
+    async renewLeases() {
+        if (!this.connected || this.leases.size === 0) return;
+
+        for (const monitorId of Array.from(this.leases)) {
+            const { acquired } = await this.acquireLease(monitorId);
+            if (!acquired) {
+                console.warn(`[Coordination] Lost lease for ${monitorId}`);
+            }
+        }
+    }
+
+    // Shared state of the last owner; null if there is none (or no coordination)
+    async loadState(monitorId) {
+        if (!this.connected) return null;
+
+        const [cursor, breaker] = await Promise.all([
+            this.client.get(this.key('cursor', monitorId)),
+            this.client.get(this.key('breaker', monitorId))
+        ]);
+        return {
+            cursor: cursor ? JSON.parse(cursor) : null,
+            breaker: breaker ? JSON.parse(breaker) : null
+        };
+    }
+
+    // Stores the breaker state and, after a successful check, the new cursor
+    async saveState(monitorId, { job = null, breaker }) {
+        if (!this.connected) return;
+
+        const ttlSeconds = Math.round(CONFIG.COORDINATION.STATE_TTL / 1000);
+        const multi = this.client.multi()
+            .set(this.key('breaker', monitorId), JSON.stringify(breaker), { EX: ttlSeconds });
+
+        if (job) {
+            const cursor = { instanceId: this.instanceId, updatedAt: new Date().toISOString() };
+            CURSOR_FIELDS.forEach(field => { cursor[field] = job[field] ?? null; });
+            cursor.listingVersions = (job.lastSnapshot || []).map(listing => [listing.id, persistence.listingVersion(listing)]);
+            multi.set(this.key('cursor', monitorId), JSON.stringify(cursor), { EX: ttlSeconds });
+        }
+        await multi.exec();
+    }
+
+    // Deleted monitors leave nothing behind for other instances to pick up
+    async removeState(monitorId) {
+        await this.releaseLease(monitorId);
+        if (!this.connected) return;
+
+        await this.client.del([this.key('cursor', monitorId), this.key('breaker', monitorId)]).catch(error => {
+            console.warn(`[Coordination] Failed to remove shared state for ${monitorId}: ${error.message}`);
+        });
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            instanceId: this.instanceId,
+            connected: this.connected,
+            lastError: this.lastError,
+            leaseTtlMs: CONFIG.COORDINATION.LEASE_TTL,
+            ownedMonitors: Array.from(this.leases)
+        };
+    }
+
+    async shutdown() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+        if (!this.client) return;
+
+        // Hand the monitors over right away instead of after LEASE_TTL
+        await Promise.all(Array.from(this.leases).map(monitorId => this.releaseLease(monitorId)));
+        if (this.client.isReady) {
+            await this.client.quit().catch(() => {});
+        } else if (this.client.isOpen) {
+            // Still reconnecting; quit() would wait for a connection
+            await this.client.disconnect().catch(() => {});
+        }
+        this.client = null;
+    }
+}
+
+module.exports = new Coordination();
\ No newline at end of file
@@ -0,0 +1,94 @@
+// === Field-level Listing Diff ===
+// Vergleicht zwei normalisierte Listings Feld für Feld und liefert die geänderten Pfade.
+// Monitore können über "diffFields" festlegen, welche Pfade relevant sind
+// (z.B. ['details.mileage', 'location', 'images', 'status']); Präfixe schließen alle Unterfelder ein.
+//
+// Pfade, die bereits eigene Events haben (PRICE_CHANGE, DESCRIPTION_CHANGE), tauchen im
+// FIELD_CHANGE nicht noch einmal auf, damit Webhook-Konsumenten keine doppelten Meldungen bekommen.
+
+const crypto = require('crypto');
+
+const DIFFABLE_FIELDS = [
+    'title', 'description', 'url', 'price', 'location', 'publishedAt', 'updatedAt',
+    'seller', 'images', 'attributes', 'vertical', 'details', 'status'
+];
+
+// Ohne Konfiguration: alles außer Rohattributen (doppeln details) und updatedAt (ändert sich bei jedem Bump)
+const DEFAULT_DIFF_FIELDS = DIFFABLE_FIELDS.filter(field => !['attributes', 'updatedAt'].includes(field));
+
+// Von PRICE_CHANGE/DESCRIPTION_CHANGE abgedeckt bzw. daraus abgeleitet
+const LEGACY_EVENT_PATHS = ['title', 'description', 'price.amount', 'price.display'];
+
+// Berechnete Werte (z.B. ageYears) ändern sich mit der Zeit, ohne dass die Anzeige geändert wurde
+const DERIVED_PATH_PREFIX = 'details.derived';
+
+function validateDiffFields(fields) {
+    if (fields === null || fields === undefined) return [];
+    if (!Array.isArray(fields) || fields.length === 0) return ['"diffFields" must be a non-empty list of field paths'];
+
+    return fields
+        .filter(field => typeof field !== 'string' || !DIFFABLE_FIELDS.includes(field.split('.')[0]))
+        .map(field => `Unknown diff field "${field}" (allowed roots: ${DIFFABLE_FIELDS.join(', ')})`);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isSameValue(a, b) {
+    if (a === b) return true;
+    // Arrays (images, Attributwerte) werden als Ganzes verglichen
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function collectDiffs(oldValue, newValue, path, diffs) {
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+        const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+        for (const key of keys) {
+            collectDiffs(oldValue[key], newValue[key], `${path}.${key}`, diffs);
+        }
+        return;
+    }
+    // Felder, die es im älteren Snapshot noch nicht gab, sind keine Änderung
+    if (oldValue === undefined) return;
+    if (!isSameValue(oldValue, newValue)) {
+        diffs.push({ path, oldValue, newValue: newValue === undefined ? null : newValue });
+    }
+}
+
+// Fingerprint of everything that can change on a listing that stays in the same place,
+// used by the monitor fast path to find edited first-page listings without a full diff
+function contentHash(listing) {
+    const { derived, ...details } = listing.details || {};
+    const content = DEFAULT_DIFF_FIELDS.map(field => (field === 'details' ? details : listing[field] ?? null));
+    return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex').substring(0, 16);
+}
+
+function isSelected(path, fields) {
+    return fields.some(field => path === field || path.startsWith(`${field}.`) || field.startsWith(`${path}.`));
+}
+
+// Liefert [{ path, oldValue, newValue }] für alle ausgewählten, geänderten Felder
+function diffListings(oldListing, newListing, fields = null) {
+    const selectedFields = fields && fields.length > 0 ? fields : DEFAULT_DIFF_FIELDS;
+    const diffs = [];
+
+    DIFFABLE_FIELDS.forEach(field => {
+        if (!isSelected(field, selectedFields)) return;
+        collectDiffs(oldListing[field], newListing[field], field, diffs);
+    });
+
+    return diffs.filter(diff =>
+        isSelected(diff.path, selectedFields)
+        && !LEGACY_EVENT_PATHS.includes(diff.path)
+        && !diff.path.startsWith(DERIVED_PATH_PREFIX)
+    );
+}
+
+module.exports = {
+    DIFFABLE_FIELDS,
+    DEFAULT_DIFF_FIELDS,
+    validateDiffFields,
+    diffListings,
+    contentHash
+};
\ No newline at end of file
@@ -0,0 +1,142 @@
+const persistence = require('../utils/persistence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toLifecycle(row, listing) {
+    // Anzeigen, die vor dem ersten Check veröffentlicht wurden, zählen ab publishedAt
+    const published = listing?.publishedAt;
+    const start = published && published < row.first_seen_at ? published : row.first_seen_at;
+    const end = row.removed_at || row.last_seen_at;
+
+    return {
+        firstSeenAt: row.first_seen_at,
+        lastSeenAt: row.last_seen_at,
+        removedAt: row.removed_at || null,
+        daysOnMarket: Math.max(Math.floor((Date.parse(end) - Date.parse(start)) / DAY_MS), 0),
+        relistCount: row.relist_count
+    };
+}
+
+function changeEventData(change) {
+    if (change.type === 'PRICE_CHANGE') {
+        return { oldPrice: change.oldPrice, newPrice: change.newPrice };
+    }
+    if (change.type === 'DESCRIPTION_CHANGE') {
+        return {
+            oldTitle: change.oldTitle,
+            newTitle: change.newTitle,
+            oldDescription: change.oldDescription,
+            newDescription: change.newDescription
+        };
+    }
+    if (change.type === 'FIELD_CHANGE') {
+        return { fields: change.fields };
+    }
+    return null;
+}
+
+// Schreibt die Beobachtungen eines Checks fort und hängt jedem Listing
+// seine Lifecycle-Felder (firstSeenAt, lastSeenAt, daysOnMarket, relistCount) an.
+// options.isListedElsewhere(id) verhindert, dass eine Anzeige als entfernt gilt,
+// solange ein anderer Monitor sie noch sieht.
+// options.seenIds: die in diesem Check tatsächlich geladenen IDs. Aus dem letzten
+// Snapshot übernommene Listings (nicht geladene Seiten, ausstehende Entfernungen)
+// behalten ihr lastSeenAt.
+async function recordCheck(monitorId, listings, changes = [], options = {}) {
+    const checkedAt = options.checkedAt || new Date().toISOString();
+    const isListedElsewhere = options.isListedElsewhere || (() => false);
+    const seenIds = options.seenIds || null;
+    const removedIds = changes.filter(c => c.type === 'REMOVED_LISTING').map(c => c.listingId);
+
+    const ids = [...new Set([...listings.map(l => l.id), ...removedIds])];
+    const rows = new Map(
+        (await persistence.getListingLifecycles(ids)).map(row => [row.listing_id, row])
+    );
+
+    const upserts = [];
+    const events = [];
+    const touched = [];
+
+    for (const listing of listings) {
+        const price = listing.price?.amount ?? null;
+        let row = rows.get(listing.id);
+
+        if (row && seenIds && !seenIds.has(listing.id)) {
+            listing.lifecycle = toLifecycle(row, listing);
+            continue;
+        }
+
+        if (!row) {
+            row = {
+                listing_id: listing.id,
+                first_seen_at: checkedAt,
+                last_seen_at: checkedAt,
+                removed_at: null,
+                relist_count: 0,
+                last_price: price
+            };
+            upserts.push(row);
+            events.push({ listingId: listing.id, monitorId, type: 'FIRST_SEEN', occurredAt: checkedAt, data: { price, title: listing.title } });
+        } else if (row.removed_at) {
+            events.push({ listingId: listing.id, monitorId, type: 'RELISTED', occurredAt: checkedAt, data: { price, removedAt: row.removed_at } });
+            row = { ...row, removed_at: null, relist_count: row.relist_count + 1, last_seen_at: checkedAt, last_price: price };
+            upserts.push(row);
+        } else if (row.last_price !== price) {
+            row = { ...row, last_seen_at: checkedAt, last_price: price };
+            upserts.push(row);
+        } else {
+            row = { ...row, last_seen_at: checkedAt };
+            touched.push(listing.id);
+        }
+
+        rows.set(listing.id, row);
+        listing.lifecycle = toLifecycle(row, listing);
+    }
+
+    for (const change of changes) {
+        if (change.type === 'REMOVED_LISTING') {
+            const row = rows.get(change.listingId);
+            if (!row || row.removed_at || isListedElsewhere(change.listingId)) continue;
+            const removedRow = { ...row, removed_at: checkedAt };
+            upserts.push(removedRow);
+            events.push({ listingId: change.listingId, monitorId, type: 'REMOVED', occurredAt: checkedAt, data: { price: row.last_price } });
+            change.listing.lifecycle = toLifecycle(removedRow, change.listing);
+        } else {
+            const data = changeEventData(change);
+            if (data) {
+                events.push({ listingId: change.listingId, monitorId, type: change.type, occurredAt: change.timestamp, data });
+            }
+        }
+    }
+
+    await persistence.saveListingLifecycles({ upserts, events });
+    await persistence.touchListings(touched, checkedAt);
+}
+
+// Snapshots werden ohne Lifecycle gespeichert; beim Laden kommt er aus listing_lifecycle
+async function attachLifecycles(listings) {
+    const rows = new Map(
+        (await persistence.getListingLifecycles(listings.map(l => l.id))).map(row => [row.listing_id, row])
+    );
+    for (const listing of listings) {
+        const row = rows.get(listing.id);
+        if (row) listing.lifecycle = toLifecycle(row, listing);
+    }
+}
+
+async function getListingHistory(listingId) {
+    const [row] = await persistence.getListingLifecycles([String(listingId)]);
+    if (!row) return null;
+
+    return {
+        listingId: String(listingId),
+        lifecycle: toLifecycle(row),
+        events: await persistence.getListingEvents(listingId)
+    };
+}
+
+module.exports = {
+    recordCheck,
+    attachLifecycles,
+    getListingHistory
+};
\ No newline at end of file
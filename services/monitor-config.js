@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { v5: uuidv5 } = require('uuid');
+const monitoringService = require('./monitoring-service');
+const { parseMonitorBody, toMonitorDefinition } = require('../utils/monitor-definition');
+const { normalizeUrl } = require('../utils/helpers');
+
+// === Declarative Monitor Config ===
+// With MONITORS_FILE set (YAML or JSON), the file is the source of truth for the monitors
+// it lists. It is applied at startup and again whenever it changes:
+//
+//   monitors:
+//     - title: Audi A5
+//       url: https://www.willhaben.at/iad/gebrauchtwagen/auto/gebrauchtwagenboerse?...
+//       webhookUrl: https://example.com/hook
+//       interval: 5
+//       group: Autos
+//       tags: [diesel]
+//       filters: { maxPrice: 15000 }
+//
+// Entries take the same fields as POST /api/monitors, plus an optional "id" and "paused".
+// Entries are matched to running monitors by id, otherwise by search URL; fields left out
+// fall back to their defaults. Monitors created through the API are only touched if an
+// entry matches them, and only monitors that came from the file are removed with it.
+
+// Fixed namespace so entries without "id" get the same monitor ID on every instance and restart
+const ID_NAMESPACE = '6f1d3c2e-8a4b-4f6e-9c1d-2b7a5e9f0c3d';
+
+// What a field means when an entry leaves it out
+const DEFINITION_DEFAULTS = {
+    title: null,
+    group: null,
+    tags: [],
+    webhookUrl: null,
+    intervalMinutes: null,
+    filters: null,
+    diffFields: null,
+    removalConfirmation: null,
+    schedule: null,
+    scanMode: 'full',
+    reconcileMinutes: null
+};
+
+const RELOAD_DEBOUNCE = 500;
+
+let activeFile = null;
+let watcher = null;
+let reloadTimer = null;
+let lastHash = null;
+let lastResult = null;
+
+function isYaml(filePath) {
+    return ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase());
+}
+
+function parseFile(filePath, content) {
+    const document = isYaml(filePath) ? yaml.load(content) : JSON.parse(content);
+    // A bare list of monitors is accepted as well
+    if (Array.isArray(document)) return document;
+    if (!document || !Array.isArray(document.monitors)) {
+        throw new Error('expected a "monitors" list');
+    }
+    return document.monitors;
+}
+
+function formatFile(monitors, format) {
+    const document = { monitors };
+    return format === 'json'
+        ? JSON.stringify(document, null, 2)
+        : yaml.dump(document, { lineWidth: -1, noRefs: true });
+}
+
+// Validates all entries; returns { errors, definitions } with the full field set per entry
+function parseDefinitions(entries) {
+    const errors = [];
+    const definitions = [];
+    const seen = new Set();
+
+    entries.forEach((entry, index) => {
+        const label = `monitors[${index}]${entry?.title ? ` (${entry.title})` : ''}`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+
+        const parsed = parseMonitorBody(entry, { requireUrl: true });
+        if (entry.id !== undefined && (typeof entry.id !== 'string' || !entry.id.trim())) {
+            parsed.errors.push('"id" must be a non-empty string');
+        }
+        if (entry.paused !== undefined && typeof entry.paused !== 'boolean') {
+            parsed.errors.push('"paused" must be a boolean');
+        }
+        if (parsed.errors.length > 0) {
+            errors.push(...parsed.errors.map(error => `${label}: ${error}`));
+            return;
+        }
+
+        const normalizedUrl = normalizeUrl(parsed.updates.url);
+        const id = entry.id ? entry.id.trim() : uuidv5(normalizedUrl, ID_NAMESPACE);
+        if (seen.has(id) || seen.has(normalizedUrl)) {
+            errors.push(`${label}: duplicate monitor (same id or search URL as an earlier entry)`);
+            return;
+        }
+        seen.add(id);
+        seen.add(normalizedUrl);
+
+        definitions.push({
+            id,
+            normalizedUrl,
+            paused: entry.paused,
+            updates: { ...DEFINITION_DEFAULTS, ...parsed.updates }
+        });
+    });
+
+    return { errors, definitions };
+}
+
+// Current values of a running monitor in the shape of parseMonitorBody's updates
+function currentUpdates(job) {
+    return {
+        url: job.originalUrl,
+        title: job.title ?? null,
+        group: job.group ?? null,
+        tags: job.tags || [],
+        webhookUrl: job.webhookUrl ?? null,
+        intervalMinutes: job.configuredInterval ? job.configuredInterval / 60000 : null,
+        filters: job.filters ?? null,
+        diffFields: job.diffFields ?? null,
+        removalConfirmation: job.removalConfirmation ?? null,
+        schedule: job.schedule ?? null,
+        scanMode: job.scanMode || 'full',
+        reconcileMinutes: job.reconcileInterval ? job.reconcileInterval / 60000 : null
+    };
+}
+
+function changedUpdates(job, updates) {
+    const current = currentUpdates(job);
+    const changed = {};
+    Object.keys(updates)
+        .filter(key => JSON.stringify(updates[key]) !== JSON.stringify(current[key]))
+        .forEach(key => { changed[key] = updates[key]; });
+    return changed;
+}
+
+// Returns the ID of the monitor the entry was applied to
+function applyDefinition(definition, summary) {
+    const job = monitoringService.getJob(definition.id) || monitoringService.findJobByUrl(definition.normalizedUrl);
+
+    if (!job) {
+        const created = monitoringService.createMonitor({ ...definition.updates, id: definition.id, source: 'config' });
+        if (definition.paused) {
+            monitoringService.pauseMonitoring(created.id);
+        } else {
+            monitoringService.requestCheck(created.id);
+        }
+        summary.created.push(created.id);
+        return created.id;
+    }
+
+    const changed = changedUpdates(job, definition.updates);
+    const adopted = job.source !== 'config';
+    if (adopted) {
+        monitoringService.updateMonitor(job.id, { source: 'config' });
+    }
+    if (Object.keys(changed).length > 0) {
+        monitoringService.updateMonitor(job.id, changed);
+    }
+
+    // Only an explicit "paused" in the file overrides a pause/resume done through the API
+    let statusChanged = false;
+    if (definition.paused === true && job.status !== 'paused') {
+        monitoringService.pauseMonitoring(job.id);
+        statusChanged = true;
+    } else if (definition.paused === false && job.status === 'paused') {
+        monitoringService.resumeMonitoring(job.id);
+        statusChanged = true;
+    }
+
+    if (adopted || statusChanged || Object.keys(changed).length > 0) {
+        summary.updated.push({ id: job.id, fields: Object.keys(changed), adopted, statusChanged });
+    } else {
+        summary.unchanged++;
+    }
+    return job.id;
+}
+
+// Brings the running monitors in line with the file. An invalid file changes nothing.
+async function reconcile(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const summary = {
+        file: filePath,
+        appliedAt: new Date().toISOString(),
+        created: [],
+        updated: [],
+        removed: [],
+        unchanged: 0,
+        errors: []
+    };
+
+    let entries;
+    try {
+        entries = parseFile(filePath, content);
+    } catch (error) {
+        summary.errors.push(`Could not parse ${path.basename(filePath)}: ${error.message}`);
+    }
+
+    const { errors, definitions } = entries ? parseDefinitions(entries) : { errors: [], definitions: [] };
+    summary.errors.push(...errors);
+    if (summary.errors.length > 0) {
+        console.warn(`[Config] ${filePath} not applied: ${summary.errors.join('; ')}`);
+        lastResult = summary;
+        return summary;
+    }
+
+    const definedIds = new Set();
+    definitions.forEach(definition => {
+        try {
+            definedIds.add(applyDefinition(definition, summary));
+        } catch (error) {
+            // Keep the monitor this entry refers to, even if the update failed
+            definedIds.add(definition.id);
+            summary.errors.push(`${definition.updates.title || definition.normalizedUrl}: ${error.message}`);
+        }
+    });
+
+    monitoringService.getAllJobs()
+        .filter(job => job.source === 'config' && !definedIds.has(job.id))
+        .forEach(job => {
+            monitoringService.stopMonitoring(job.id);
+            summary.removed.push(job.id);
+        });
+
+    lastHash = crypto.createHash('sha1').update(content).digest('hex');
+    lastResult = summary;
+    console.log(`[Config] Applied ${filePath}: ${summary.created.length} created, ${summary.updated.length} updated, ${summary.removed.length} removed, ${summary.unchanged} unchanged`);
+    return summary;
+}
+
+function scheduleReload(filePath) {
+    clearTimeout(reloadTimer);
+    // Editors write in several steps; wait until the file has settled
+    reloadTimer = setTimeout(async () => {
+        try {
+            const content = await fs.promises.readFile(filePath, 'utf8');
+            if (crypto.createHash('sha1').update(content).digest('hex') === lastHash) return;
+            await reconcile(filePath);
+        } catch (error) {
+            console.warn(`[Config] Reload of ${filePath} failed: ${error.message}`);
+        }
+    }, RELOAD_DEBOUNCE);
+}
+
+// Applies the file once persisted monitors are loaded, then watches it for changes
+async function start(filePath) {
+    if (!filePath) return null;
+    const resolved = path.resolve(filePath);
+    activeFile = resolved;
+
+    await monitoringService.ready;
+    const result = await reconcile(resolved).catch(error => {
+        console.error(`[Config] Could not read ${resolved}: ${error.message}`);
+        return null;
+    });
+
+    // The directory is watched because editors often replace the file instead of writing to it
+    watcher = fs.watch(path.dirname(resolved), (eventType, fileName) => {
+        if (fileName === path.basename(resolved)) scheduleReload(resolved);
+    });
+    watcher.unref();
+    return result;
+}
+
+function stop() {
+    clearTimeout(reloadTimer);
+    if (watcher) watcher.close();
+    watcher = null;
+    activeFile = null;
+}
+
+// Monitors from the file are changed there, not through the API
+function isManaged(job) {
+    return activeFile !== null && job.source === 'config';
+}
+
+function exportMonitors(format = 'yaml') {
+    const monitors = monitoringService.getAllJobs().map(toMonitorDefinition);
+    return formatFile(monitors, format);
+}
+
+function getStatus() {
+    return activeFile ? { file: activeFile, lastApplied: lastResult } : null;
+}
+
+module.exports = {
+    start,
+    stop,
+    reconcile,
+    exportMonitors,
+    isManaged,
+    getStatus
+};
\ No newline at end of file
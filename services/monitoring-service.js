@@ -1,20 +1,32 @@
 const CircuitBreaker = require('./circuit-breaker');
-const { scrapeWillhabenPage, scrapeAllPagesParallel } = require('./scraping-service');
-const { sendToWebhook } = require('./webhook-service');
+const { scrapeWillhabenPage, scrapeAllPagesParallel, scrapeNewestUntilKnown, scrapeListingDetails } = require('./scraping-service');
+const { sendToWebhook, sendAlertToWebhook, buildWebhookPayload } = require('./webhook-service');
+const { applyFilterRules } = require('./notification-filter');
+const { diffListings, contentHash } = require('./listing-diff');
+const schemaDrift = require('./schema-drift');
+const scheduler = require('./scheduler');
+const coordination = require('./coordination');
 const { normalizeUrl, setsEqual, isPeakHours } = require('../utils/helpers');
 const { buildUrlWithPage } = require('../utils/helpers');
+const { alertWebhookUrl } = require('../config/config');
 const CONFIG = require('../config/constants');
 const persistence = require('../utils/persistence');
+const { nextRunAt } = require('../utils/time-window');
+const { NotFoundError } = require('../utils/scrape-errors');
+const { v4: uuidv4 } = require('uuid');
+const { validateListing } = require('../models/listing');
+const listingHistory = require('./listing-history-service');
 
 const monitoringJobs = new Map();
 const circuitBreakers = new Map();
+const alerts = [];
 
 // === Change Detection ===
-function detectChanges(oldListings, newListings) {
+function detectChanges(oldListings, newListings, { diffFields = null } = {}) {
     const changes = [];
     const oldMap = new Map(oldListings.map(l => [l.id, l]));
     const newMap = new Map(newListings.map(l => [l.id, l]));
-
+    
     for (const [id, listing] of newMap) {
         if (!oldMap.has(id)) {
             changes.push({
@@ -25,7 +37,7 @@ function detectChanges(oldListings, newListings) {
             });
         }
     }
-
+    
     for (const [id, listing] of oldMap) {
         if (!newMap.has(id)) {
             changes.push({
@@ -36,40 +48,178 @@ function detectChanges(oldListings, newListings) {
             });
         }
     }
-
+    
     for (const [id, newListing] of newMap) {
         if (oldMap.has(id)) {
             const oldListing = oldMap.get(id);
+            const oldPrice = oldListing.price?.amount ?? null;
+            const newPrice = newListing.price?.amount ?? null;
             
-            if (oldListing.price !== undefined && newListing.price !== undefined && 
-                oldListing.price !== newListing.price) {
+            if (oldPrice !== null && newPrice !== null && oldPrice !== newPrice) {
                 changes.push({
                     type: 'PRICE_CHANGE',
                     timestamp: new Date().toISOString(),
                     listingId: id,
                     listing: newListing,
-                    oldPrice: oldListing.price,
-                    newPrice: newListing.price,
-                    priceChange: newListing.price - oldListing.price
+                    oldPrice: oldPrice,
+                    newPrice: newPrice,
+                    priceChange: newPrice - oldPrice
                 });
             }
-
-            if (oldListing.description !== newListing.description) {
+            
+            if (oldListing.title !== newListing.title || oldListing.description !== newListing.description) {
                 changes.push({
                     type: 'DESCRIPTION_CHANGE',
                     timestamp: new Date().toISOString(),
                     listingId: id,
                     listing: newListing,
+                    oldTitle: oldListing.title,
+                    newTitle: newListing.title,
                     oldDescription: oldListing.description,
                     newDescription: newListing.description
                 });
             }
+            
+            const fieldDiffs = diffListings(oldListing, newListing, diffFields);
+            if (fieldDiffs.length > 0) {
+                changes.push({
+                    type: 'FIELD_CHANGE',
+                    timestamp: new Date().toISOString(),
+                    listingId: id,
+                    listing: newListing,
+                    changedPaths: fieldDiffs.map(diff => diff.path),
+                    fields: fieldDiffs
+                });
+            }
         }
     }
-
+    
     return changes;
 }
 
+// === Fast Path ===
+// Decides from the first page alone whether the other pages can have changed.
+// Same members and same total count: only the first page needs to be compared.
+function getEscalationReason(job, firstPageData) {
+    if (!job.lastSnapshot || job.lastSnapshot.length === 0) return 'noBaseline';
+    if (Object.keys(job.pendingRemovals || {}).length > 0) return 'pendingRemovals';
+    
+    const pageSize = firstPageData.listingsPerPage;
+    const firstPageIds = new Set(firstPageData.listings.map(l => l.id));
+    const oldFirstPageIds = new Set(job.lastSnapshot.slice(0, pageSize).map(l => l.id));
+    if (!setsEqual(firstPageIds, oldFirstPageIds)) return 'membership';
+    
+    // Something was added or removed further back, even though page 1 looks the same
+    if (job.lastTotalListings != null && firstPageData.totalListings !== job.lastTotalListings) return 'totalListings';
+    
+    return null;
+}
+
+// Applies edits and reordering on page 1 to the snapshot; later pages are kept as they are
+function mergeFirstPage(job, firstPageListings) {
+    const oldById = new Map(job.lastSnapshot.map(l => [l.id, l]));
+    const changedOld = [];
+    const changedNew = [];
+    
+    firstPageListings.forEach(listing => {
+        const oldListing = oldById.get(listing.id);
+        if (oldListing && contentHash(oldListing) !== contentHash(listing)) {
+            changedOld.push(oldListing);
+            changedNew.push(listing);
+        }
+    });
+    
+    const firstPageIds = new Set(firstPageListings.map(l => l.id));
+    return {
+        listings: [...firstPageListings, ...job.lastSnapshot.filter(l => !firstPageIds.has(l.id))],
+        changes: detectChanges(changedOld, changedNew, { diffFields: job.diffFields }),
+        updatedListings: changedNew.length
+    };
+}
+
+// === Removal Confirmation ===
+// Pages that failed to load are missing from the result, not removed: keep their listings
+function carryOverMissing(oldListings, newListings) {
+    const seenIds = new Set(newListings.map(l => l.id));
+    return [...newListings, ...oldListings.filter(l => !seenIds.has(l.id))];
+}
+
+async function isAdGone(listingId) {
+    try {
+        await scrapeListingDetails(listingId);
+        return false;
+    } catch (error) {
+        // Any other error says nothing about the ad; fall back to counting checks
+        return error instanceof NotFoundError;
+    }
+}
+
+// A listing missing from a complete scrape is only reported as removed once it has been
+// missing for `checks` consecutive full scrapes, or once its detail page returns 404.
+// Until then it stays in the snapshot so that it doesn't come back as NEW_LISTING.
+async function confirmRemovals(job, changes, newListings) {
+    const settings = { ...CONFIG.REMOVAL_CONFIRMATION, ...(job.removalConfirmation || {}) };
+    const pending = job.pendingRemovals || {};
+    const stillPending = {};
+    const carried = [];
+    let detailChecks = 0;
+    
+    for (const change of changes) {
+        if (change.type !== 'REMOVED_LISTING') continue;
+        
+        const entry = { ...(pending[change.listingId] || { missingSince: change.timestamp, missedChecks: 0 }) };
+        entry.missedChecks += 1;
+        
+        let confirmedBy = entry.missedChecks >= settings.checks ? 'checks' : null;
+        if (!confirmedBy && settings.verifyDetails && detailChecks < settings.maxDetailChecks) {
+            detailChecks++;
+            if (await isAdGone(change.listingId)) {
+                confirmedBy = 'detail';
+            }
+        }
+        
+        if (confirmedBy) {
+            change.missingSince = entry.missingSince;
+            change.confirmedBy = confirmedBy;
+        } else {
+            stillPending[change.listingId] = entry;
+            carried.push(change.listing);
+        }
+    }
+    
+    const pendingCount = Object.keys(stillPending).length;
+    if (pendingCount > 0) {
+        console.log(`[Monitor] ${pendingCount} removals awaiting confirmation for ${job.normalizedUrl}`);
+    }
+    job.pendingRemovals = stillPending;
+    
+    return {
+        changes: changes.filter(c => c.type !== 'REMOVED_LISTING' || !stillPending[c.listingId]),
+        listings: [...newListings, ...carried]
+    };
+}
+
+// === Alerts ===
+// Service-weite Warnungen (z.B. Schema-Drift), unabhängig von einzelnen Listings.
+// Sie haben eine andere Payload als Änderungen und gehen deshalb nur an ALERT_WEBHOOK_URL,
+// nie an die Webhooks der Monitore.
+function raiseAlert(alert) {
+    alerts.push(alert);
+    if (alerts.length > CONFIG.ALERTS_RETENTION) {
+        alerts.splice(0, alerts.length - CONFIG.ALERTS_RETENTION);
+    }
+    
+    if (alertWebhookUrl) {
+        sendAlertToWebhook(alertWebhookUrl, alert);
+    }
+}
+
+function getAlerts() {
+    return [...alerts];
+}
+
+schemaDrift.on('drift', raiseAlert);
+
 // === Adaptive Interval Logic ===
 function calculateNextInterval(job) {
     const now = Date.now();
@@ -78,7 +228,9 @@ function calculateNextInterval(job) {
     ).length;
     
     let interval;
-    if (recentChanges > 5) {
+    if (job.configuredInterval) {
+        interval = job.configuredInterval;
+    } else if (recentChanges > 5) {
         interval = CONFIG.ACTIVE_INTERVAL;
     } else if (recentChanges > 0) {
         interval = CONFIG.DEFAULT_INTERVAL;
@@ -86,7 +238,8 @@ function calculateNextInterval(job) {
         interval = CONFIG.QUIET_INTERVAL;
     }
     
-    if (!isPeakHours()) {
+    // Monitors with their own schedule define their active time themselves
+    if (!job.schedule && !isPeakHours()) {
         interval = Math.min(interval * 1.5, CONFIG.MAX_INTERVAL);
     }
     
@@ -98,247 +251,894 @@ function calculateNextInterval(job) {
     return Math.max(interval, CONFIG.MIN_INTERVAL);
 }
 
-// === Smart Monitoring Check ===
-async function performSmartMonitoringCheck(normalizedUrl) {
-    const job = monitoringJobs.get(normalizedUrl);
-    if (!job) return;
+// === Scans ===
+// Both return { listings, changes, stats, totalListings } without touching snapshot or notifications
 
+// Default mode: first page, escalating to all pages when other pages may have changed
+async function scanSearch(job, { reconcile = false } = {}) {
+    const normalizedUrl = job.normalizedUrl;
+    const firstPageData = await scrapeWillhabenPage(job.originalUrl, job.originalUrl);
+    const escalationReason = reconcile && job.lastSnapshot?.length > 0 ? 'reconcile' : getEscalationReason(job, firstPageData);
+    
+    if (escalationReason === null) {
+        const merged = mergeFirstPage(job, firstPageData.listings);
+        console.log(`[Monitor] Same first page members for ${normalizedUrl}, ${merged.updatedListings} edited, skipping full scrape`);
+        return {
+            listings: merged.listings,
+            seenIds: new Set(firstPageData.listings.map(l => l.id)),
+            changes: merged.changes,
+            totalListings: firstPageData.totalListings,
+            stats: {
+                mode: 'fast',
+                pagesScraped: 1,
+                listingsFound: firstPageData.listings.length,
+                updatedListings: merged.updatedListings,
+                sessionInfo: firstPageData.sessionInfo
+            }
+        };
+    }
+    
+    console.log(`[Monitor] Full scrape for ${normalizedUrl} (${escalationReason})...`);
+    const fullData = await scrapeAllPagesParallel(job.originalUrl, job.originalUrl, false);
+    let listings = fullData.listings;
+    let changes = [];
+    
+    if (!fullData.complete && job.lastSnapshot?.length > 0) {
+        console.warn(`[Monitor] ${fullData.failedPages.length} pages failed for ${normalizedUrl}, removals are not evaluated this check`);
+        listings = carryOverMissing(job.lastSnapshot, listings);
+    }
+    
+    if (job.lastSnapshot && job.lastSnapshot.length > 0) {
+        changes = detectChanges(job.lastSnapshot, listings, { diffFields: job.diffFields });
+        if (fullData.complete) {
+            ({ changes, listings } = await confirmRemovals(job, changes, listings));
+        }
+    }
+    
+    return {
+        listings,
+        seenIds: new Set(fullData.listings.map(l => l.id)),
+        changes,
+        totalListings: fullData.totalListings,
+        stats: {
+            mode: 'full',
+            escalationReason: escalationReason,
+            pagesScraped: fullData.pagesScraped,
+            listingsFound: fullData.scrapedListings,
+            complete: fullData.complete,
+            failedPages: fullData.failedPages,
+            coverage: fullData.coverage,
+            sessionInfo: fullData.sessionInfo
+        }
+    };
+}
+
+// Incremental mode: only new listings; removals and edits wait for the next reconcile
+function isIncrementalCheck(job) {
+    if (job.scanMode !== 'incremental' || !job.lastSnapshot || job.lastSnapshot.length === 0) return false;
+    if (!job.lastReconcileAt) return false;
+    
+    const reconcileInterval = job.reconcileInterval || CONFIG.INCREMENTAL_RECONCILE_INTERVAL;
+    return Date.now() - new Date(job.lastReconcileAt).getTime() < reconcileInterval;
+}
+
+async function scanNewestFirst(job) {
+    const knownIds = new Set(job.lastSnapshot.map(l => l.id));
+    const result = await scrapeNewestUntilKnown(job.originalUrl, job.originalUrl, knownIds);
+    
+    if (!result.complete) {
+        // Too many new listings to page through: let the next check do a full reconcile
+        console.warn(`[Monitor] Page limit reached before known listings for ${job.normalizedUrl}, scheduling reconcile`);
+        job.lastReconcileAt = null;
+    }
+    
+    return {
+        listings: [...result.listings, ...job.lastSnapshot],
+        seenIds: new Set(result.listings.map(l => l.id)),
+        changes: detectChanges([], result.listings),
+        totalListings: result.totalListings,
+        stats: {
+            mode: 'incremental',
+            pagesScraped: result.pagesScraped,
+            listingsFound: result.listings.length,
+            complete: result.complete,
+            sessionInfo: result.sessionInfo
+        }
+    };
+}
+
+function runScan(job) {
+    return isIncrementalCheck(job)
+        ? scanNewestFirst(job)
+        : scanSearch(job, { reconcile: job.scanMode === 'incremental' });
+}
+
+function toErrorInfo(error, consecutiveErrors) {
+    return {
+        type: error.type || 'UNKNOWN',
+        message: error.message,
+        statusCode: error.statusCode || null,
+        retryAfter: error.retryAfter || null,
+        timestamp: new Date().toISOString(),
+        consecutiveErrors
+    };
+}
+
+// === Multi-Instance Coordination ===
+// A monitor taken over from another instance continues from that instance's last check
+// The cursor only names the previous owner's listing versions. Their content comes from this
+// instance's database, else from its own older snapshot (an edit may then be reported again).
+// Listings this instance never stored can't be rebuilt; they are adopted silently when the
+// next scan finds them instead of being reported as new a second time.
+async function rebuildSnapshot(job, listingVersions) {
+    const stored = await persistence.getListingVersions(listingVersions).catch(err => {
+        console.warn(`[Monitor] Failed to load listing versions for ${job.id}: ${err.message}`);
+        return new Map();
+    });
+    const local = new Map((job.lastSnapshot || []).map(l => [l.id, l]));
+    const snapshot = [];
+    const unknownIds = new Set();
+    
+    for (const [listingId] of listingVersions) {
+        const listing = stored.get(String(listingId)) || local.get(listingId);
+        if (listing) snapshot.push(listing);
+        else unknownIds.add(listingId);
+    }
+    
+    const stale = listingVersions.filter(([listingId]) => !stored.has(String(listingId))).length - unknownIds.size;
+    if (stale > 0 || unknownIds.size > 0) {
+        console.warn(`[Monitor] Rebuilt snapshot for ${job.normalizedUrl} with ${stale} older versions and ${unknownIds.size} unknown listings`);
+    }
+    job.takenOverIds = unknownIds.size > 0 ? unknownIds : null;
+    return snapshot;
+}
+
+// NEW_LISTING for listings the previous owner already had is not news
+function dropTakenOverListings(job, changes) {
+    const takenOverIds = job.takenOverIds;
+    if (!takenOverIds) return changes;
+    job.takenOverIds = null;
+    return changes.filter(c => c.type !== 'NEW_LISTING' || !takenOverIds.has(c.listingId));
+}
+
+async function restoreSharedState(job, breaker) {
+    const state = await coordination.loadState(job.id).catch(err => {
+        console.warn(`[Monitor] Failed to load shared state for ${job.id}: ${err.message}`);
+        return null;
+    });
+    if (!state) return;
+    
+    const { cursor } = state;
+    if (cursor && (!job.lastCheck || new Date(cursor.lastCheck) > new Date(job.lastCheck))) {
+        Object.keys(cursor)
+            .filter(field => !['instanceId', 'updatedAt', 'listingVersions'].includes(field))
+            .forEach(field => { job[field] = cursor[field]; });
+        if (cursor.listingVersions) {
+            job.lastSnapshot = await rebuildSnapshot(job, cursor.listingVersions);
+        }
+        job.lastSnapshot = job.lastSnapshot || [];
+        job.pendingRemovals = job.pendingRemovals || {};
+        console.log(`[Monitor] Took over ${job.normalizedUrl} from ${cursor.instanceId} (last check ${cursor.lastCheck})`);
+    }
+    if (state.breaker) {
+        breaker.restore(state.breaker);
+    }
+}
+
+function shareState(monitorId, breaker, job = null) {
+    return coordination.saveState(monitorId, { job, breaker: breaker.toJSON() }).catch(err => {
+        console.warn(`[Monitor] Failed to share state for ${monitorId}: ${err.message}`);
+    });
+}
+
+// Another instance holds the lease: keep the monitor scheduled so this
+// instance can take it over once that lease expires
+function skipForeignMonitor(monitorId, owner) {
+    const job = monitoringJobs.get(monitorId);
+    if (job) rescheduleJob(monitorId, job.currentInterval || CONFIG.DEFAULT_INTERVAL);
+    
+    return {
+        checkedAt: null,
+        skipped: true,
+        owner,
+        stats: null,
+        changes: [],
+        notifiedChanges: 0,
+        error: null
+    };
+}
+
+// === Smart Monitoring Check ===
+// Returns the outcome of the check (null if the monitor is gone or paused)
+async function performSmartMonitoringCheck(monitorId) {
+    const job = monitoringJobs.get(monitorId);
+    if (!job || job.status === 'paused') return null;
+    const normalizedUrl = job.normalizedUrl;
+    
     // Create circuit breaker if it doesn't exist
-    if (!circuitBreakers.has(normalizedUrl)) {
-        circuitBreakers.set(normalizedUrl, new CircuitBreaker(5, 60000));
+    if (!circuitBreakers.has(monitorId)) {
+        circuitBreakers.set(monitorId, new CircuitBreaker(5, 60000));
     }
-    const breaker = circuitBreakers.get(normalizedUrl);
+    const breaker = circuitBreakers.get(monitorId);
+    
+    const lease = await coordination.acquireLease(monitorId);
+    if (!lease.acquired) return skipForeignMonitor(monitorId, lease.owner);
+    if (lease.takenOver) await restoreSharedState(job, breaker);
+    const startedAt = new Date();
     
     try {
-        await breaker.execute(async () => {
-            // Quick check: only first page
-            const firstPageData = await scrapeWillhabenPage(job.originalUrl, job.originalUrl);
-            const firstPageIds = new Set(firstPageData.listings.map(l => l.id));
+        return await recordCheckRun(monitorId, startedAt, await breaker.execute(async () => {
+            const scan = await runScan(job);
+            const newListings = scan.listings;
+            const detectedChanges = dropTakenOverListings(job, scan.changes);
+            const scrapingStats = scan.stats;
             
-            let needsFullScrape = false;
+            // Long scans can outlive a lease; never report on behalf of the new owner
+            const stillOwner = await coordination.acquireLease(monitorId);
+            if (!stillOwner.acquired) return skipForeignMonitor(monitorId, stillOwner.owner);
             
-            if (job.lastSnapshot && job.lastSnapshot.length > 0) {
-                const pageSize = firstPageData.listingsPerPage;
-                const oldFirstPageIds = new Set(
-                    job.lastSnapshot.slice(0, pageSize).map(l => l.id)
-                );
-                
-                needsFullScrape = !setsEqual(firstPageIds, oldFirstPageIds);
-            } else {
-                needsFullScrape = true;
+            if (job.scanMode === 'incremental' && scrapingStats.mode === 'full' && scrapingStats.complete) {
+                job.lastReconcileAt = new Date().toISOString();
             }
             
-            let newListings;
-            let scrapingStats;
+            // Lifecycle fields are attached before anything is sent out
+            await listingHistory.recordCheck(monitorId, newListings, detectedChanges, {
+                seenIds: scan.seenIds,
+                isListedElsewhere: (listingId) => isListedElsewhere(monitorId, listingId)
+            }).catch(err => {
+                console.error(`[Monitor] Failed to record listing history for ${monitorId}: ${err.message}`);
+            });
             
-            if (needsFullScrape) {
-                console.log(`[Monitor] Changes detected on first page for ${normalizedUrl}, doing full scrape...`);
-                const fullData = await scrapeAllPagesParallel(job.originalUrl, job.originalUrl, false);
-                newListings = fullData.listings;
-                scrapingStats = {
-                    mode: 'full',
-                    pagesScraped: fullData.pagesScraped,
-                    listingsFound: fullData.scrapedListings,
-                    sessionInfo: fullData.sessionInfo
-                };
-            } else {
-                newListings = job.lastSnapshot;
-                scrapingStats = {
-                    mode: 'fast',
-                    pagesScraped: 1,
-                    listingsFound: firstPageData.listings.length,
-                    sessionInfo: firstPageData.sessionInfo
-                };
-                console.log(`[Monitor] No changes on first page for ${normalizedUrl}, skipping full scrape`);
-            }
-
-            let detectedChanges = [];
-            if (job.lastSnapshot && job.lastSnapshot.length > 0 && needsFullScrape) {
-                detectedChanges = detectChanges(job.lastSnapshot, newListings);
+            // History keeps everything; only changes matching the monitor's rules are sent
+            const notifiableChanges = applyFilterRules(detectedChanges, job.filters);
+            
+            if (detectedChanges.length > 0) {
+                job.changes.push(...detectedChanges);
+                await persistence.saveChanges(monitorId, detectedChanges).catch(err => {
+                    console.error(`[Monitor] Failed to store change history for ${monitorId}: ${err.message}`);
+                });
+                
+                if (job.webhookUrl && notifiableChanges.length > 0) {
+                    await sendToWebhook(job.webhookUrl, notifiableChanges, job);
+                }
                 
-                if (detectedChanges.length > 0) {
-                    job.changes.push(...detectedChanges);
-                    
-                    if (job.webhookUrl) {
-                        await sendToWebhook(job.webhookUrl, detectedChanges, job);
-                    }
-                    
-                    if (job.changes.length > CONFIG.CHANGES_RETENTION) {
-                        job.changes = job.changes.slice(-CONFIG.CHANGES_RETENTION);
-                    }
-                    
-                    console.log(`[Monitor] Detected ${detectedChanges.length} changes for ${normalizedUrl}`);
+                if (job.changes.length > CONFIG.CHANGES_RETENTION) {
+                    job.changes = job.changes.slice(-CONFIG.CHANGES_RETENTION);
                 }
+                
+                console.log(`[Monitor] Detected ${detectedChanges.length} changes (${notifiableChanges.length} matching filters) for ${normalizedUrl}`);
             }
-
+            
             job.lastSnapshot = newListings;
-            // Update the persisted monitor
-            await persistence.updateMonitor(normalizedUrl, job);
+            job.lastTotalListings = scan.totalListings;
+            // Update the persisted monitor; only changed listings are written
+            await persistence.updateMonitor(monitorId, job);
+            await persistence.saveSnapshot(monitorId, newListings);
             job.lastCheck = new Date().toISOString();
             job.checkCount = (job.checkCount || 0) + 1;
             job.consecutiveErrors = 0;
             job.lastError = null;
             job.lastScrapingStats = scrapingStats;
+            await shareState(monitorId, breaker, job);
             
             const nextInterval = calculateNextInterval(job);
             job.currentInterval = nextInterval;
             
-            rescheduleJob(normalizedUrl, nextInterval);
-        });
-        
+            rescheduleJob(monitorId, nextInterval);
+            
+            return {
+                checkedAt: job.lastCheck,
+                stats: scrapingStats,
+                changes: detectedChanges,
+                notifiedChanges: job.webhookUrl ? notifiableChanges.length : 0,
+                error: null
+            };
+        }));
+    
     } catch (error) {
         console.error(`[Monitor] Error checking ${normalizedUrl}:`, error.message);
         job.consecutiveErrors = (job.consecutiveErrors || 0) + 1;
-        job.lastError = {
-            message: error.message,
-            timestamp: new Date().toISOString(),
-            consecutiveErrors: job.consecutiveErrors
-        };
+        job.lastError = toErrorInfo(error, job.consecutiveErrors);
+        await shareState(monitorId, breaker);
         
-        const nextInterval = calculateNextInterval(job);
+        let nextInterval = calculateNextInterval(job);
+        // Respect willhaben's Retry-After instead of hammering while throttled
+        if (error.retryAfter) {
+            nextInterval = Math.max(nextInterval, error.retryAfter);
+        }
         job.currentInterval = nextInterval;
-        rescheduleJob(normalizedUrl, nextInterval);
+        rescheduleJob(monitorId, nextInterval);
+        
+        return recordCheckRun(monitorId, startedAt, {
+            checkedAt: job.lastError.timestamp,
+            stats: null,
+            changes: [],
+            notifiedChanges: 0,
+            error: job.lastError
+        });
     }
 }
 
-function rescheduleJob(normalizedUrl, newInterval) {
-    const job = monitoringJobs.get(normalizedUrl);
+// Stores the outcome in the run history (pruned by RETENTION_RUNS_DAYS); checks
+// skipped for another instance are that instance's runs and are not recorded
+async function recordCheckRun(monitorId, startedAt, result) {
+    if (result.skipped) return result;
+    const finishedAt = new Date();
+    await persistence.saveCheckRun(monitorId, {
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        outcome: result.error ? 'error' : 'ok',
+        durationMs: finishedAt - startedAt,
+        changes: result.changes.length,
+        notifiedChanges: result.notifiedChanges,
+        stats: result.stats,
+        error: result.error
+    }).catch(err => {
+        console.error(`[Monitor] Failed to store check run for ${monitorId}: ${err.message}`);
+    });
+    return result;
+}
+
+// Runs the whole check pipeline on a copy of the job: nothing is stored, scheduled or sent.
+// The result shows which changes would pass the filters and the webhook payload for them.
+// Like check-now it waits for a scheduler slot and never overlaps a check of the monitor.
+function dryRunCheck(monitorId) {
+    if (!monitoringJobs.has(monitorId)) return Promise.resolve(null);
+    return scheduler.runNow(monitorId, { runner: runDryCheck });
+}
+
+async function runDryCheck(monitorId) {
+    const job = monitoringJobs.get(monitorId);
+    if (!job) return null;
+    
+    const draft = {
+        ...job,
+        pendingRemovals: { ...(job.pendingRemovals || {}) },
+        changes: [...job.changes]
+    };
+    
+    try {
+        const scan = await runScan(draft);
+        const notifiableChanges = applyFilterRules(scan.changes, job.filters);
+        return {
+            dryRun: true,
+            checkedAt: new Date().toISOString(),
+            stats: scan.stats,
+            changes: scan.changes,
+            notifiableChanges: notifiableChanges,
+            webhookUrl: job.webhookUrl || null,
+            webhookPayload: notifiableChanges.length > 0
+                ? buildWebhookPayload(notifiableChanges, { ...draft, lastSnapshot: scan.listings })
+                : null,
+            error: null
+        };
+    } catch (error) {
+        return {
+            dryRun: true,
+            checkedAt: new Date().toISOString(),
+            stats: null,
+            changes: [],
+            notifiableChanges: [],
+            webhookUrl: job.webhookUrl || null,
+            webhookPayload: null,
+            error: toErrorInfo(error, job.consecutiveErrors)
+        };
+    }
+}
+
+function rescheduleJob(monitorId, newInterval) {
+    const job = monitoringJobs.get(monitorId);
     if (!job) return;
     
-    if (job.intervalId) {
-        clearInterval(job.intervalId);
+    // Paused jobs keep their state but are never scheduled
+    if (job.status === 'paused') {
+        scheduler.unschedule(monitorId);
+        job.nextCheckAt = null;
+        return;
     }
     
-    // Calculate and store the next check time
-    job.nextCheckAt = new Date(Date.now() + newInterval).toISOString();
+    // Outside the monitor's schedule the check moves to the next allowed minute
+    const runAt = nextRunAt(job.schedule, newInterval);
+    if (!runAt) {
+        console.warn(`[Monitor] Schedule of ${job.normalizedUrl} has no slot in the next days, not scheduling`);
+        scheduler.unschedule(monitorId);
+        job.nextCheckAt = null;
+        return;
+    }
     
-    job.intervalId = setInterval(() => {
-        performSmartMonitoringCheck(normalizedUrl);
-    }, newInterval);
+    // The scheduler may add jitter, so the stored time is the one it will actually use;
+    // scheduled monitors keep exact times so they don't slip out of their window
+    job.nextCheckAt = scheduler.schedule(monitorId, runAt.getTime() - Date.now(), { jitter: !job.schedule }).toISOString();
     
     // Update the persisted job with the new next check time
-    persistence.updateMonitor(normalizedUrl, job).catch(err => {
+    persistence.updateMonitor(monitorId, job).catch(err => {
         console.error(`Error updating monitor nextCheckAt: ${err.message}`);
     });
 }
 
-// === Public Methods ===
-function startMonitoring(fullUrl, webhookUrl = null, intervalMinutes = null) {
-    const normalizedUrl = normalizeUrl(fullUrl);
+function toIntervalMs(intervalMinutes) {
+    return intervalMinutes
+        ? Math.max(intervalMinutes * 60 * 1000, CONFIG.MIN_INTERVAL)
+        : null;
+}
 
-    if (monitoringJobs.has(normalizedUrl)) {
-        const oldJob = monitoringJobs.get(normalizedUrl);
-        clearInterval(oldJob.intervalId);
+class MonitorConflictError extends Error {
+    constructor(existingJob) {
+        super(`A monitor for this search URL already exists (${existingJob.id})`);
+        this.name = 'MonitorConflictError';
+        this.status = 409;
+        this.existingId = existingJob.id;
     }
+}
 
-    if (!circuitBreakers.has(normalizedUrl)) {
-        circuitBreakers.set(normalizedUrl, new CircuitBreaker(5, 60000));
+// === Public Methods ===
+function createMonitor({
+    url,
+    title = null,
+    group = null,
+    tags = [],
+    webhookUrl = null,
+    intervalMinutes = null,
+    filters = null,
+    diffFields = null,
+    removalConfirmation = null,
+    scanMode = 'full',
+    reconcileMinutes = null,
+    schedule = null,
+    source = 'api',
+    id = uuidv4()
+}) {
+    const normalizedUrl = normalizeUrl(url);
+    const existing = findJobByUrl(normalizedUrl);
+    if (existing && existing.id !== id) {
+        throw new MonitorConflictError(existing);
     }
-
-    const initialInterval = intervalMinutes 
-        ? Math.max(intervalMinutes * 60 * 1000, CONFIG.MIN_INTERVAL)
-        : CONFIG.DEFAULT_INTERVAL;
-
+    
+    if (!circuitBreakers.has(id)) {
+        circuitBreakers.set(id, new CircuitBreaker(5, 60000));
+    }
+    
+    const configuredInterval = toIntervalMs(intervalMinutes);
+    const initialInterval = configuredInterval || CONFIG.DEFAULT_INTERVAL;
+    
     const job = {
-        title: null,  // Will be set by controller
-        originalUrl: fullUrl,
+        id: id,
+        title: title,
+        group: group,
+        tags: tags,
+        originalUrl: url,
         normalizedUrl: normalizedUrl,
         webhookUrl: webhookUrl,
+        filters: filters,
+        diffFields: diffFields,
+        removalConfirmation: removalConfirmation,
+        pendingRemovals: {},
+        lastTotalListings: null,
+        scanMode: scanMode,
+        reconcileInterval: toIntervalMs(reconcileMinutes),
+        lastReconcileAt: null,
+        schedule: schedule,
+        source: source,
+        status: 'active',
+        pausedAt: null,
+        configuredInterval: configuredInterval,
         currentInterval: initialInterval,
         lastSnapshot: [],
         changes: [],
+        changesClearedAt: new Date().toISOString(),
         startedAt: new Date().toISOString(),
         nextCheckAt: new Date(Date.now() + initialInterval).toISOString(),
         lastCheck: null,
         checkCount: 0,
         consecutiveErrors: 0,
         lastError: null,
-        lastScrapingStats: null,
-        intervalId: null
+        lastScrapingStats: null
     };
-
-    monitoringJobs.set(normalizedUrl, job);
+    
+    monitoringJobs.set(id, job);
     // Save to SQLite
-    persistence.saveMonitor(normalizedUrl, job);
+    persistence.saveMonitor(id, job).catch(err => {
+        console.error(`Error saving monitor ${id}: ${err.message}`);
+    });
+    return job;
+}
+
+// Legacy entry point: restarting an existing URL resets the job but keeps its ID
+function startMonitoring(fullUrl, webhookUrl = null, intervalMinutes = null) {
+    const existing = findJobByUrl(normalizeUrl(fullUrl));
+    if (existing) {
+        scheduler.unschedule(existing.id);
+        monitoringJobs.delete(existing.id);
+    }
+    
+    return createMonitor({
+        url: fullUrl,
+        webhookUrl,
+        intervalMinutes,
+        id: existing ? existing.id : uuidv4()
+    });
+}
+
+function updateMonitor(monitorId, updates) {
+    const job = monitoringJobs.get(monitorId);
+    if (!job) return null;
+    
+    if (updates.title !== undefined) {
+        job.title = updates.title;
+    }
+    
+    if (updates.group !== undefined) {
+        job.group = updates.group;
+    }
+    
+    if (updates.tags !== undefined) {
+        job.tags = updates.tags;
+    }
+    
+    if (updates.source !== undefined) {
+        job.source = updates.source;
+    }
+    
+    if (updates.webhookUrl !== undefined) {
+        job.webhookUrl = updates.webhookUrl;
+    }
+    
+    if (updates.filters !== undefined) {
+        job.filters = updates.filters;
+    }
+
+    if (updates.diffFields !== undefined) {
+        job.diffFields = updates.diffFields;
+    }
+
+    if (updates.removalConfirmation !== undefined) {
+        job.removalConfirmation = updates.removalConfirmation;
+    }
+
+    if (updates.scanMode !== undefined) {
+        job.scanMode = updates.scanMode;
+    }
+
+    if (updates.schedule !== undefined) {
+        job.schedule = updates.schedule;
+    }
+
+    if (updates.reconcileMinutes !== undefined) {
+        job.reconcileInterval = toIntervalMs(updates.reconcileMinutes);
+    }
+    
+    if (updates.url !== undefined) {
+        const normalizedUrl = normalizeUrl(updates.url);
+        const existing = findJobByUrl(normalizedUrl);
+        if (existing && existing.id !== monitorId) {
+            throw new MonitorConflictError(existing);
+        }
+        if (normalizedUrl !== job.normalizedUrl) {
+            // A different search has different results: re-baseline silently on the next check
+            job.lastSnapshot = [];
+            job.pendingRemovals = {};
+            persistence.saveSnapshot(monitorId, []).catch(err => {
+                console.error(`Error clearing snapshot of monitor ${monitorId}: ${err.message}`);
+            });
+        }
+        job.originalUrl = updates.url;
+        job.normalizedUrl = normalizedUrl;
+    }
+    
+    if (updates.intervalMinutes !== undefined || updates.schedule !== undefined) {
+        if (updates.intervalMinutes !== undefined) {
+            job.configuredInterval = toIntervalMs(updates.intervalMinutes);
+        }
+        job.currentInterval = calculateNextInterval(job);
+        rescheduleJob(monitorId, job.currentInterval);
+    } else {
+        persistence.updateMonitor(monitorId, job).catch(err => {
+            console.error(`Error updating monitor ${monitorId}: ${err.message}`);
+        });
+    }
+    
     return job;
 }
 
 async function loadPersistedMonitors() {
     try {
         const monitors = await persistence.getMonitors();
-        for (const [url, config] of monitors) {
-            if (!monitoringJobs.has(url)) {
-                const job = {
-                    ...config,
-                    intervalId: null
-                };
-                monitoringJobs.set(url, job);
-                
-                // Create circuit breaker if it doesn't exist
-                if (!circuitBreakers.has(url)) {
-                    circuitBreakers.set(url, new CircuitBreaker(5, 60000));
-                }
-                
-                rescheduleJob(url, job.currentInterval || CONFIG.DEFAULT_INTERVAL);
+        for (const [id, config] of monitors) {
+            if (monitoringJobs.has(id)) continue;
+            
+            // Older databases may hold several rows per URL; restore only the first
+            if (findJobByUrl(config.normalizedUrl)) {
+                console.log(`[Monitor] Skipping duplicate persisted monitor ${id} for ${config.normalizedUrl}`);
+                continue;
             }
+            
+            const job = {
+                status: 'active',
+                pausedAt: null,
+                group: null,
+                tags: [],
+                source: 'api',
+                filters: null,
+                diffFields: null,
+                removalConfirmation: null,
+                pendingRemovals: {},
+                lastTotalListings: null,
+                scanMode: 'full',
+                reconcileInterval: null,
+                lastReconcileAt: null,
+                schedule: null,
+                ...config,
+                id: id
+            };
+            
+            // Snapshots from before the listing schema can't be diffed against
+            // normalized listings; start a fresh baseline instead
+            if (job.lastSnapshot?.length > 0 && !validateListing(job.lastSnapshot[0]).valid) {
+                console.log(`[Monitor] Resetting legacy snapshot for ${job.normalizedUrl}`);
+                job.lastSnapshot = [];
+                await persistence.saveSnapshot(id, []);
+            }
+            await listingHistory.attachLifecycles(job.lastSnapshot || []).catch(err => {
+                console.error(`[Monitor] Failed to load listing history for ${id}: ${err.message}`);
+            });
+            monitoringJobs.set(id, job);
+            
+            // Create circuit breaker if it doesn't exist
+            if (!circuitBreakers.has(id)) {
+                circuitBreakers.set(id, new CircuitBreaker(5, 60000));
+            }
+            
+            if (job.status === 'paused') {
+                console.log(`[Monitor] Restored paused monitor ${id} (paused since ${job.pausedAt})`);
+                job.nextCheckAt = null;
+                continue;
+            }
+            
+            rescheduleJob(id, job.currentInterval || CONFIG.DEFAULT_INTERVAL);
         }
     } catch (error) {
         console.error('Error loading persisted monitors:', error);
     }
 }
 
-function stopMonitoring(normalizedUrl) {
-    if (!monitoringJobs.has(normalizedUrl)) {
+// Suspends checks without touching snapshot, changes or circuit breaker
+function pauseMonitoring(monitorId) {
+    const job = monitoringJobs.get(monitorId);
+    if (!job) return null;
+    if (job.status === 'paused') return job;
+    
+    job.status = 'paused';
+    job.pausedAt = new Date().toISOString();
+    scheduler.unschedule(monitorId);
+    coordination.releaseLease(monitorId);
+    job.nextCheckAt = null;
+    
+    persistence.updateMonitor(monitorId, job).catch(err => {
+        console.error(`Error pausing monitor ${monitorId}: ${err.message}`);
+    });
+    console.log(`[Monitor] Paused ${job.normalizedUrl}`);
+    return job;
+}
+
+function resumeMonitoring(monitorId) {
+    const job = monitoringJobs.get(monitorId);
+    if (!job) return null;
+    if (job.status !== 'paused') return job;
+    
+    job.status = 'active';
+    job.pausedAt = null;
+    console.log(`[Monitor] Resumed ${job.normalizedUrl}`);
+    
+    // Check right away; the kept snapshot means only real changes get reported
+    requestCheck(monitorId);
+    return job;
+}
+
+function stopMonitoring(monitorId) {
+    if (!monitoringJobs.has(monitorId)) {
         return false;
     }
-
-    const job = monitoringJobs.get(normalizedUrl);
-    clearInterval(job.intervalId);
-    monitoringJobs.delete(normalizedUrl);
-    circuitBreakers.delete(normalizedUrl);
-    persistence.deleteMonitor(normalizedUrl);
+    
+    scheduler.unschedule(monitorId);
+    monitoringJobs.delete(monitorId);
+    circuitBreakers.delete(monitorId);
+    coordination.removeState(monitorId);
+    persistence.deleteMonitor(monitorId).catch(err => {
+        console.error(`Error deleting monitor ${monitorId}: ${err.message}`);
+    });
     return true;
 }
 
-function getJob(normalizedUrl) {
-    return monitoringJobs.get(normalizedUrl);
+function isListedElsewhere(monitorId, listingId) {
+    for (const job of monitoringJobs.values()) {
+        if (job.id !== monitorId && job.lastSnapshot?.some(l => l.id === listingId)) return true;
+    }
+    return false;
+}
+
+function getJob(monitorId) {
+    return monitoringJobs.get(monitorId);
+}
+
+function findJobByUrl(normalizedUrl) {
+    for (const job of monitoringJobs.values()) {
+        if (job.normalizedUrl === normalizedUrl) return job;
+    }
+    return null;
 }
 
 function getAllJobs() {
-    return Array.from(monitoringJobs.entries()).map(([url, job]) => ({
-        normalizedUrl: url,
-        ...job
-    }));
+    return Array.from(monitoringJobs.values()).map(job => ({ ...job }));
 }
 
-function getChanges(normalizedUrl, clearAfterRead = false) {
-    const job = monitoringJobs.get(normalizedUrl);
-    if (!job) return null;
+// === Groups & Tags ===
+// Selector fields are optional and combined with AND; group null means "ungrouped",
+// several tags must all be present
+function matchesSelector(job, { ids, group, tags, status } = {}) {
+    if (ids && !ids.includes(job.id)) return false;
+    if (group !== undefined && (job.group || '').toLowerCase() !== (group || '').toLowerCase()) return false;
+    if (tags && !tags.every(tag => (job.tags || []).includes(tag))) return false;
+    if (status && job.status !== status) return false;
+    return true;
+}
+
+function findJobs(selector) {
+    return Array.from(monitoringJobs.values()).filter(job => matchesSelector(job, selector));
+}
 
-    const changes = [...job.changes];
+function getGroupStats() {
+    const groups = new Map();
+    const tags = {};
+    
+    for (const job of monitoringJobs.values()) {
+        const name = job.group || null;
+        if (!groups.has(name)) {
+            groups.set(name, {
+                group: name,
+                monitors: 0,
+                active: 0,
+                paused: 0,
+                failing: 0,
+                listings: 0,
+                pendingChanges: 0,
+                totalChecks: 0,
+                lastCheck: null,
+                tags: new Set()
+            });
+        }
+        
+        const stats = groups.get(name);
+        stats.monitors++;
+        if (job.status === 'paused') stats.paused++;
+        else stats.active++;
+        if (job.consecutiveErrors > 0) stats.failing++;
+        stats.listings += job.lastSnapshot?.length || 0;
+        stats.pendingChanges += job.changes.length;
+        stats.totalChecks += job.checkCount || 0;
+        if (job.lastCheck && (!stats.lastCheck || job.lastCheck > stats.lastCheck)) {
+            stats.lastCheck = job.lastCheck;
+        }
+        (job.tags || []).forEach(tag => {
+            stats.tags.add(tag);
+            tags[tag] = (tags[tag] || 0) + 1;
+        });
+    }
+    
+    // Named groups alphabetically, ungrouped monitors last
+    const sorted = Array.from(groups.values()).sort((a, b) => {
+        if (a.group === null) return 1;
+        if (b.group === null) return -1;
+        return a.group.localeCompare(b.group);
+    });
+    
+    return {
+        groups: sorted.map(stats => ({ ...stats, tags: Array.from(stats.tags).sort() })),
+        tags
+    };
+}
+
+function getCircuitBreakerState(monitorId) {
+    const breaker = circuitBreakers.get(monitorId);
+    return breaker ? breaker.getState() : null;
+}
+
+// Persistent history; unaffected by clearing the in-memory buffer below
+function queryChangeHistory(filters) {
+    return persistence.queryChanges(filters);
+}
+
+// Finished checks of a monitor, newest first
+function getCheckRuns(monitorId, limit) {
+    return persistence.getCheckRuns(monitorId, limit);
+}
+
+function getChanges(monitorId, clearAfterRead = false, { unfiltered = false } = {}) {
+    const job = monitoringJobs.get(monitorId);
+    if (!job) return null;
+    
+    const changes = unfiltered ? [...job.changes] : applyFilterRules(job.changes, job.filters);
     if (clearAfterRead) {
         job.changes = [];
+        // Restarts restore the buffer from the change history, starting after this point
+        job.changesClearedAt = new Date().toISOString();
+        persistence.updateMonitor(monitorId, job).catch(err => {
+            console.error(`Error updating monitor ${monitorId}: ${err.message}`);
+        });
     }
     return changes;
 }
 
-function cleanupAllJobs() {
-    for (const [url, job] of monitoringJobs) {
-        clearInterval(job.intervalId);
-    }
+// Runs a check through the scheduler as soon as a slot is free;
+// resolves once it is done (or joins a check that is already running)
+function requestCheck(monitorId) {
+    return scheduler.runNow(monitorId);
+}
+
+function getSchedulerStatus() {
+    return scheduler.getStatus();
+}
+
+function getCoordinationStatus() {
+    return coordination.getStatus();
+}
+
+async function cleanupAllJobs() {
+    scheduler.clear();
+    // Releases this instance's leases so other instances take over immediately
+    await coordination.shutdown();
     monitoringJobs.clear();
     circuitBreakers.clear();
 }
 
+// Stops all checks and forgets the loaded monitors, e.g. while the database is replaced.
+// Running checks finish first; reloadAllJobs picks the monitors up again.
+async function suspendAllJobs() {
+    scheduler.clear();
+    const monitorIds = Array.from(monitoringJobs.keys());
+    monitoringJobs.clear();
+    circuitBreakers.clear();
+    await scheduler.idle();
+    scheduler.clear();
+    await Promise.all(monitorIds.map(monitorId => coordination.releaseLease(monitorId)));
+}
+
+async function reloadAllJobs() {
+    await loadPersistedMonitors();
+    return monitoringJobs.size;
+}
+
+// All checks go through the scheduler, which never runs a monitor twice at once
+scheduler.setRunner(performSmartMonitoringCheck);
+
 // Load persisted monitors when the service starts
-loadPersistedMonitors().catch(console.error);
+coordination.connect().catch(console.error);
+const ready = loadPersistedMonitors().catch(console.error);
 
 module.exports = {
+    ready,
+    MonitorConflictError,
+    createMonitor,
     startMonitoring,
+    updateMonitor,
+    pauseMonitoring,
+    resumeMonitoring,
     stopMonitoring,
     getJob,
+    findJobByUrl,
     getAllJobs,
+    findJobs,
+    getGroupStats,
+    getCircuitBreakerState,
     getChanges,
+    queryChangeHistory,
+    getCheckRuns,
+    getAlerts,
     performSmartMonitoringCheck,
+    dryRunCheck,
+    requestCheck,
+    getSchedulerStatus,
+    getCoordinationStatus,
+    suspendAllJobs,
+    reloadAllJobs,
     cleanupAllJobs
 };
\ No newline at end of file
@@ -0,0 +1,179 @@
+// === Notification Filter Rules ===
+// Pro Monitor gespeicherte Regeln, die entscheiden, welche Änderungen relevant sind.
+// Alle angegebenen Regeln müssen erfüllt sein:
+//
+// {
+//   changeTypes:     ['NEW_LISTING', 'PRICE_CHANGE', ...]    nur diese Änderungstypen
+//   minPrice:        number                                 Preis des Listings >= minPrice
+//   maxPrice:        number                                 Preis des Listings <= maxPrice
+//   minPriceDrop:    { percent?: number, amount?: number }  PRICE_CHANGE nur bei Senkung um mind. X % bzw. € Y
+//   includeKeywords: string[]                               mindestens eines muss in Titel/Beschreibung vorkommen
+//   excludeKeywords: string[]                               keines darf vorkommen
+//   conditions:      [{ field, op, value }]                 z.B. { field: 'mileage', op: '<', value: 150000 }
+// }
+//
+// "field" ist ein Pfad im Listing (z.B. 'price.amount', 'details.firstRegistration.year').
+// Ohne Treffer wird zusätzlich in details und attributes (Großschreibung) gesucht,
+// sodass auch 'mileage' oder 'YEAR_MODEL' funktionieren.
+
+const CHANGE_TYPES = ['NEW_LISTING', 'REMOVED_LISTING', 'PRICE_CHANGE', 'DESCRIPTION_CHANGE', 'FIELD_CHANGE'];
+const OPERATORS = ['<', '<=', '>', '>=', '=', '!=', 'contains', 'in'];
+const RULE_KEYS = ['changeTypes', 'minPrice', 'maxPrice', 'minPriceDrop', 'includeKeywords', 'excludeKeywords', 'conditions'];
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+}
+
+function validateFilterRules(rules) {
+    if (rules === null || rules === undefined) return [];
+    if (typeof rules !== 'object' || Array.isArray(rules)) return ['"filters" must be an object'];
+
+    const errors = [];
+    Object.keys(rules).filter(key => !RULE_KEYS.includes(key)).forEach(key => {
+        errors.push(`Unknown filter rule "${key}"`);
+    });
+
+    if (rules.changeTypes !== undefined) {
+        if (!Array.isArray(rules.changeTypes) || rules.changeTypes.some(type => !CHANGE_TYPES.includes(type))) {
+            errors.push(`"changeTypes" must be a list of ${CHANGE_TYPES.join(', ')}`);
+        }
+    }
+
+    ['minPrice', 'maxPrice'].forEach(key => {
+        if (rules[key] !== undefined && (!isNumber(rules[key]) || rules[key] < 0)) {
+            errors.push(`"${key}" must be a non-negative number`);
+        }
+    });
+
+    if (rules.minPriceDrop !== undefined) {
+        const drop = rules.minPriceDrop;
+        if (!drop || typeof drop !== 'object' || (drop.percent === undefined && drop.amount === undefined)) {
+            errors.push('"minPriceDrop" needs "percent" and/or "amount"');
+        } else {
+            if (drop.percent !== undefined && (!isNumber(drop.percent) || drop.percent <= 0 || drop.percent > 100)) {
+                errors.push('"minPriceDrop.percent" must be between 0 and 100');
+            }
+            if (drop.amount !== undefined && (!isNumber(drop.amount) || drop.amount <= 0)) {
+                errors.push('"minPriceDrop.amount" must be a positive number');
+            }
+        }
+    }
+
+    ['includeKeywords', 'excludeKeywords'].forEach(key => {
+        if (rules[key] !== undefined && !isStringArray(rules[key])) {
+            errors.push(`"${key}" must be a list of non-empty strings`);
+        }
+    });
+
+    if (rules.conditions !== undefined) {
+        if (!Array.isArray(rules.conditions)) {
+            errors.push('"conditions" must be a list');
+        } else {
+            rules.conditions.forEach((condition, index) => {
+                if (!condition || typeof condition.field !== 'string' || !condition.field) {
+                    errors.push(`conditions[${index}].field is required`);
+                }
+                if (!OPERATORS.includes(condition?.op)) {
+                    errors.push(`conditions[${index}].op must be one of ${OPERATORS.join(' ')}`);
+                }
+                if (condition?.value === undefined) {
+                    errors.push(`conditions[${index}].value is required`);
+                } else if (['<', '<=', '>', '>='].includes(condition.op) && !isNumber(condition.value)) {
+                    errors.push(`conditions[${index}].value must be a number for "${condition.op}"`);
+                } else if (condition.op === 'in' && !Array.isArray(condition.value)) {
+                    errors.push(`conditions[${index}].value must be a list for "in"`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+function getPath(obj, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function resolveField(listing, field) {
+    let value = getPath(listing, field);
+    if (value === undefined && listing.details) value = getPath(listing.details, field);
+    if (value === undefined && listing.attributes) value = listing.attributes[field.toUpperCase()];
+    // Attributwerte sind Listen; für Vergleiche zählt der erste Wert
+    if (Array.isArray(value)) value = value[0];
+    return value;
+}
+
+function toComparable(value) {
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
+
+function matchesCondition(listing, condition) {
+    const actual = toComparable(resolveField(listing, condition.field));
+    const expected = condition.value;
+    if (actual === undefined || actual === null) return false;
+
+    switch (condition.op) {
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '=': return String(actual).toLowerCase() === String(expected).toLowerCase();
+        case '!=': return String(actual).toLowerCase() !== String(expected).toLowerCase();
+        case 'contains': return String(actual).toLowerCase().includes(String(expected).toLowerCase());
+        case 'in': return expected.map(v => String(v).toLowerCase()).includes(String(actual).toLowerCase());
+        default: return false;
+    }
+}
+
+function matchesPriceDrop(change, drop) {
+    if (change.type !== 'PRICE_CHANGE') return true;
+    const decrease = change.oldPrice - change.newPrice;
+    if (decrease <= 0) return false;
+    if (drop.amount !== undefined && decrease < drop.amount) return false;
+    if (drop.percent !== undefined && (decrease / change.oldPrice) * 100 < drop.percent) return false;
+    return true;
+}
+
+function matchesRules(change, rules) {
+    const listing = change.listing || {};
+    const price = listing.price?.amount ?? null;
+
+    if (rules.changeTypes && !rules.changeTypes.includes(change.type)) return false;
+    if (rules.minPrice !== undefined && (price === null || price < rules.minPrice)) return false;
+    if (rules.maxPrice !== undefined && (price === null || price > rules.maxPrice)) return false;
+    if (rules.minPriceDrop && !matchesPriceDrop(change, rules.minPriceDrop)) return false;
+
+    if (rules.includeKeywords || rules.excludeKeywords) {
+        const text = `${listing.title || ''} ${listing.description || ''}`.toLowerCase();
+        if (rules.includeKeywords && !rules.includeKeywords.some(keyword => text.includes(keyword.toLowerCase()))) {
+            return false;
+        }
+        if (rules.excludeKeywords && rules.excludeKeywords.some(keyword => text.includes(keyword.toLowerCase()))) {
+            return false;
+        }
+    }
+
+    if (rules.conditions && !rules.conditions.every(condition => matchesCondition(listing, condition))) {
+        return false;
+    }
+
+    return true;
+}
+
+function applyFilterRules(changes, rules) {
+    if (!rules || Object.keys(rules).length === 0) return changes;
+    return changes.filter(change => matchesRules(change, rules));
+}
+
+module.exports = {
+    CHANGE_TYPES,
+    validateFilterRules,
+    applyFilterRules
+};
\ No newline at end of file
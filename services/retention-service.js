@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const cron = require('node-cron');
+const config = require('../config/config');
+const CONFIG = require('../config/constants');
+const persistence = require('../utils/persistence');
+
+// === Retention ===
+// Keeps data/monitors.db from growing without bound. On RETENTION_PRUNE_CRON, rows older
+// than their retention are deleted per data type:
+//
+//   changes          detected changes (GET /api/changes)             RETENTION_CHANGES_DAYS
+//   events           per-listing history (GET /api/listings/:id/...) RETENTION_EVENTS_DAYS
+//   removedListings  lifecycle + events of listings removed since    RETENTION_REMOVED_LISTINGS_DAYS
+//   runs             finished checks (GET /api/monitors/:id/runs)    RETENTION_RUNS_DAYS
+//   logs             rotated error1.log, combined1.log, ...          RETENTION_LOGS_DAYS
+//
+// 0 keeps a type forever. With ARCHIVE_DIR set, rows are first written to
+// <target>-<timestamp>.jsonl.gz there and only rows that made it into a complete file are
+// deleted; old log files are gzipped there before they are removed. Deleting leaves free
+// pages behind; RETENTION_VACUUM_CRON rebuilds the file when enough of it is free.
+// Logs rotate by size in utils/logger.js; a rotated file is pruned by its last write.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pruned in this order: removed listings take their events with them
+const TARGET_SETTINGS = {
+    removedListings: 'removedListingsDays',
+    events: 'eventsDays',
+    changes: 'changesDays',
+    runs: 'runsDays',
+    logs: 'logsDays'
+};
+
+const LOG_FILE_PATTERN = /^(error|combined)\d*\.log$/;
+const ROTATED_LOG_PATTERN = /^(error|combined)\d+\.log$/;
+
+let pruneTask = null;
+let vacuumTask = null;
+let running = null;
+let lastPrune = null;
+let lastVacuum = null;
+
+function toArchiveRecord(row) {
+    const { row_id: rowId, ...record } = row;
+    if (typeof record.data === 'string') {
+        try {
+            record.data = JSON.parse(record.data);
+        } catch (error) {
+            // Kept as stored
+        }
+    }
+    if (record.events) record.events = record.events.map(toArchiveRecord);
+    return record;
+}
+
+async function* archiveLines(target, cutoff, progress) {
+    for (;;) {
+        const rows = await persistence.getPrunableRows(target, cutoff, progress.lastRowid);
+        if (rows.length === 0) return;
+        progress.lastRowid = rows[rows.length - 1].row_id;
+        progress.archived += rows.length;
+        yield rows.map(row => `${JSON.stringify(toArchiveRecord(row))}\n`).join('');
+    }
+}
+
+// Resolves once the archive file is complete; rows after lastRowid were not archived
+async function archiveRows(target, cutoff, stamp) {
+    const file = path.join(config.retention.archiveDir, `${target}-${stamp}.jsonl.gz`);
+    const progress = { lastRowid: 0, archived: 0 };
+
+    await fs.promises.mkdir(config.retention.archiveDir, { recursive: true });
+    await pipeline(archiveLines(target, cutoff, progress), zlib.createGzip(), fs.createWriteStream(file));
+    if (progress.archived === 0) {
+        await fs.promises.rm(file, { force: true });
+        return { ...progress, file: null };
+    }
+    return { ...progress, file };
+}
+
+async function pruneTarget(target, days, now, stamp) {
+    const cutoff = new Date(now - days * DAY_MS).toISOString();
+    let maxRowid = null;
+    let archive = null;
+
+    if (config.retention.archiveDir) {
+        const archived = await archiveRows(target, cutoff, stamp);
+        if (archived.archived === 0) return { cutoff, deleted: 0, archive: null };
+        maxRowid = archived.lastRowid;
+        archive = archived.file;
+    }
+
+    let deleted = 0;
+    for (;;) {
+        const count = await persistence.deletePrunableRows(target, cutoff, maxRowid);
+        if (count === 0) break;
+        deleted += count;
+    }
+    return { cutoff, deleted, archive };
+}
+
+// Log files are not rows: each rotated file older than the cutoff goes as a whole
+async function pruneLogs(days, now, stamp) {
+    const cutoff = new Date(now - days * DAY_MS);
+    const dir = process.cwd();
+    const names = (await fs.promises.readdir(dir).catch(() => [])).filter(name => ROTATED_LOG_PATTERN.test(name));
+    const archive = [];
+    let deleted = 0;
+
+    for (const name of names.sort()) {
+        const file = path.join(dir, name);
+        const stat = await fs.promises.stat(file).catch(() => null);
+        if (!stat || stat.mtime >= cutoff) continue;
+
+        if (config.retention.archiveDir) {
+            const target = path.join(config.retention.archiveDir, `${path.basename(name, '.log')}-${stamp}.log.gz`);
+            await fs.promises.mkdir(config.retention.archiveDir, { recursive: true });
+            await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(target));
+            archive.push(target);
+        }
+        await fs.promises.rm(file, { force: true });
+        deleted++;
+    }
+    return { cutoff: cutoff.toISOString(), deleted, archive: config.retention.archiveDir ? archive : null };
+}
+
+async function runPrune() {
+    const now = Date.now();
+    const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+    const result = { startedAt: new Date(now).toISOString(), finishedAt: null, targets: {} };
+
+    for (const [target, setting] of Object.entries(TARGET_SETTINGS)) {
+        const days = config.retention[setting];
+        if (!days) {
+            result.targets[target] = { keptForever: true };
+            continue;
+        }
+        try {
+            result.targets[target] = target === 'logs'
+                ? await pruneLogs(days, now, stamp)
+                : await pruneTarget(target, days, now, stamp);
+        } catch (error) {
+            console.warn(`[Retention] Pruning ${target} failed: ${error.message}`);
+            result.targets[target] = { error: error.message };
+        }
+    }
+
+    result.finishedAt = new Date().toISOString();
+    lastPrune = result;
+    const summary = Object.entries(result.targets)
+        .filter(([, outcome]) => outcome.deleted !== undefined)
+        .map(([target, outcome]) => `${outcome.deleted} ${target}`)
+        .join(', ');
+    console.log(`[Retention] Pruned ${summary || 'nothing'}`);
+    return result;
+}
+
+// Overlapping calls (schedule and admin endpoint) share one run
+function prune() {
+    if (!running) {
+        running = runPrune().finally(() => {
+            running = null;
+        });
+    }
+    return running;
+}
+
+// Skipped while less than VACUUM_MIN_FREE_RATIO of the file is free, unless forced
+async function vacuum({ force = false } = {}) {
+    const before = await persistence.getPageStats();
+    const freeRatio = before.pageCount > 0 ? before.freePages / before.pageCount : 0;
+    const at = new Date().toISOString();
+
+    if (!force && freeRatio < CONFIG.RETENTION.VACUUM_MIN_FREE_RATIO) {
+        lastVacuum = { at, skipped: true, freeRatio };
+        return lastVacuum;
+    }
+
+    const startedAt = Date.now();
+    await persistence.vacuum();
+    const after = await persistence.getPageStats();
+    lastVacuum = {
+        at,
+        skipped: false,
+        freeRatio,
+        durationMs: Date.now() - startedAt,
+        reclaimedBytes: (before.pageCount - after.pageCount) * before.pageSize
+    };
+    console.log(`[Retention] VACUUM reclaimed ${lastVacuum.reclaimedBytes} bytes in ${lastVacuum.durationMs}ms`);
+    return lastVacuum;
+}
+
+function scheduleTask(expression, name, task) {
+    if (!cron.validate(expression)) {
+        console.warn(`[Retention] Invalid ${name} schedule "${expression}", not scheduled`);
+        return null;
+    }
+    return cron.schedule(expression, () => {
+        task().catch(error => console.error(`[Retention] Scheduled ${name} failed: ${error.message}`));
+    }, { timezone: CONFIG.TIMEZONE });
+}
+
+function start() {
+    if (pruneTask || vacuumTask) return;
+    pruneTask = scheduleTask(config.retention.pruneCron, 'prune', prune);
+    vacuumTask = scheduleTask(config.retention.vacuumCron, 'vacuum', () => vacuum());
+}
+
+function stop() {
+    if (pruneTask) pruneTask.stop();
+    if (vacuumTask) vacuumTask.stop();
+    pruneTask = null;
+    vacuumTask = null;
+}
+
+async function fileSize(file) {
+    try {
+        return (await fs.promises.stat(file)).size;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function listFiles(dir, filter) {
+    const names = await fs.promises.readdir(dir).catch(() => []);
+    const files = [];
+    for (const name of names.filter(filter).sort()) {
+        files.push({ file: name, bytes: await fileSize(path.join(dir, name)) });
+    }
+    return { dir, files, bytes: files.reduce((sum, file) => sum + (file.bytes || 0), 0) };
+}
+
+function getStatus() {
+    return {
+        changesDays: config.retention.changesDays,
+        eventsDays: config.retention.eventsDays,
+        removedListingsDays: config.retention.removedListingsDays,
+        runsDays: config.retention.runsDays,
+        logsDays: config.retention.logsDays,
+        archiveDir: config.retention.archiveDir ? path.resolve(config.retention.archiveDir) : null,
+        pruneSchedule: pruneTask ? config.retention.pruneCron : null,
+        vacuumSchedule: vacuumTask ? config.retention.vacuumCron : null,
+        pruning: Boolean(running),
+        lastPrune,
+        lastVacuum
+    };
+}
+
+async function getStorage() {
+    const stats = await persistence.getStorageStats();
+    return {
+        database: {
+            path: persistence.dbPath,
+            bytes: await fileSize(persistence.dbPath),
+            pageSize: stats.pageSize,
+            pages: stats.pageCount,
+            freePages: stats.freePages,
+            tables: stats.tables
+        },
+        monitors: stats.monitors,
+        archive: config.retention.archiveDir
+            ? await listFiles(path.resolve(config.retention.archiveDir), name => name.endsWith('.jsonl.gz') || name.endsWith('.log.gz'))
+            : null,
+        logs: await listFiles(process.cwd(), name => LOG_FILE_PATTERN.test(name)),
+        retention: getStatus()
+    };
+}
+
+module.exports = {
+    start,
+    stop,
+    prune,
+    vacuum,
+    getStatus,
+    getStorage
+};
\ No newline at end of file
@@ -0,0 +1,257 @@
+const CONFIG = require('../config/constants');
+
+// Min-heap of scheduled checks ordered by due time
+class DueQueue {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(entry) {
+        this.items.push(entry);
+        let index = this.items.length - 1;
+        while (index > 0) {
+            const parent = Math.floor((index - 1) / 2);
+            if (this.items[parent].dueAt <= this.items[index].dueAt) break;
+            [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < this.items.length && this.items[left].dueAt < this.items[smallest].dueAt) smallest = left;
+                if (right < this.items.length && this.items[right].dueAt < this.items[smallest].dueAt) smallest = right;
+                if (smallest === index) break;
+                [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+
+    clear() {
+        this.items = [];
+    }
+}
+
+// === Scheduler ===
+// Owns all due checks: one timer, a global concurrency limit, jitter against
+// synchronized bursts (e.g. after a restart) and at most one run per job at a time.
+class Scheduler {
+    constructor() {
+        this.queue = new DueQueue();
+        this.entries = new Map();   // jobId -> aktueller Eintrag; ältere Einträge im Heap sind veraltet
+        this.running = new Map();   // jobId -> { startedAt, promise, oneOff }
+        this.oneOffs = new Set();   // wartende Läufe mit eigenem Runner (runNow mit options.runner)
+        this.runner = null;
+        this.timer = null;
+        this.stats = { completedRuns: 0, failedRuns: 0, skippedOverlaps: 0, totalLagMs: 0, maxLagMs: 0 };
+    }
+
+    setRunner(runner) {
+        this.runner = runner;
+        this.wake();
+    }
+
+    jitter(delayMs) {
+        const maxJitter = Math.min(delayMs * CONFIG.SCHEDULER.JITTER_RATIO, CONFIG.SCHEDULER.MAX_JITTER);
+        return Math.round((Math.random() * 2 - 1) * maxJitter);
+    }
+
+    // Plans the next run of a job, replacing any earlier plan; returns the due time
+    schedule(jobId, delayMs, { jitter = true } = {}) {
+        // A requested immediate run stays in front; the job reschedules itself afterwards
+        const pending = this.entries.get(jobId);
+        if (pending?.onDone) return new Date(pending.dueAt);
+
+        const dueAt = Date.now() + Math.max(delayMs + (jitter ? this.jitter(delayMs) : 0), 0);
+        const entry = { jobId, dueAt, scheduledAt: Date.now() };
+        this.entries.set(jobId, entry);
+        this.queue.push(entry);
+        this.wake();
+        return new Date(dueAt);
+    }
+
+    // Runs a job as soon as a slot is free; resolves with the runner's result once done.
+    // If the job is already running, the ongoing run counts. options.runner runs something
+    // else for the job (e.g. a dry run) under the same concurrency limit, never alongside
+    // another run of the job and without replacing its scheduled run.
+    runNow(jobId, { runner = null } = {}) {
+        if (runner) {
+            return new Promise(resolve => {
+                const entry = { jobId, dueAt: Date.now(), scheduledAt: Date.now(), onDone: resolve, runner };
+                this.oneOffs.add(entry);
+                this.queue.push(entry);
+                this.wake();
+            });
+        }
+
+        const current = this.running.get(jobId);
+        if (current && !current.oneOff) {
+            return current.promise;
+        }
+
+        return new Promise(resolve => {
+            const entry = { jobId, dueAt: Date.now(), scheduledAt: Date.now(), onDone: resolve };
+            this.entries.set(jobId, entry);
+            this.queue.push(entry);
+            this.wake();
+        });
+    }
+
+    unschedule(jobId) {
+        const entry = this.entries.get(jobId);
+        if (entry?.onDone) entry.onDone(null);
+        this.entries.delete(jobId);
+    }
+
+    // Resolves once the checks running right now have finished
+    idle() {
+        return Promise.all(Array.from(this.running.values()).map(run => run.promise));
+    }
+
+    isRunning(jobId) {
+        return this.running.has(jobId);
+    }
+
+    // Heap entries that were replaced or unscheduled are stale
+    isCurrent(entry) {
+        return entry.runner ? this.oneOffs.has(entry) : this.entries.get(entry.jobId) === entry;
+    }
+
+    // Puts the entry back once the job's current run is over
+    defer(entry, promise) {
+        if (entry.runner) this.oneOffs.add(entry);
+        else this.entries.set(entry.jobId, entry);
+
+        promise.then(() => {
+            if (!this.isCurrent(entry)) return;
+            this.queue.push(entry);
+            this.wake();
+        });
+    }
+
+    wake() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.dispatch();
+
+        // Drop stale heap entries so the timer targets a real due time
+        while (this.queue.size > 0 && !this.isCurrent(this.queue.peek())) {
+            this.queue.pop();
+        }
+        if (this.queue.size === 0 || this.running.size >= CONFIG.SCHEDULER.CONCURRENCY) return;
+
+        const wait = Math.min(Math.max(this.queue.peek().dueAt - Date.now(), 0), CONFIG.SCHEDULER.MAX_TIMER_DELAY);
+        this.timer = setTimeout(() => this.wake(), wait);
+        // Don't keep the process alive just for scheduled checks
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    dispatch() {
+        if (!this.runner) return;
+        const now = Date.now();
+
+        while (this.queue.size > 0 && this.running.size < CONFIG.SCHEDULER.CONCURRENCY) {
+            const entry = this.queue.peek();
+            if (!this.isCurrent(entry)) {
+                this.queue.pop();
+                continue;
+            }
+            if (entry.dueAt > now) break;
+
+            this.queue.pop();
+            if (entry.runner) this.oneOffs.delete(entry);
+            else this.entries.delete(entry.jobId);
+
+            const running = this.running.get(entry.jobId);
+            if (running && (entry.runner || running.oneOff)) {
+                // One-off runs don't reschedule the job; wait for the slot instead of skipping
+                this.defer(entry, running.promise);
+                continue;
+            }
+            if (running) {
+                // The running check reschedules its job when it finishes
+                this.stats.skippedOverlaps++;
+                if (entry.onDone) running.promise.then(entry.onDone);
+                continue;
+            }
+            this.start(entry, now);
+        }
+    }
+
+    start(entry, now) {
+        const lagMs = now - entry.dueAt;
+        this.stats.totalLagMs += lagMs;
+        this.stats.maxLagMs = Math.max(this.stats.maxLagMs, lagMs);
+
+        const promise = Promise.resolve()
+            .then(() => (entry.runner || this.runner)(entry.jobId))
+            .then(result => {
+                this.stats.completedRuns++;
+                return result;
+            })
+            .catch(error => {
+                this.stats.failedRuns++;
+                console.error(`[Scheduler] Run for ${entry.jobId} failed: ${error.message}`);
+                return null;
+            })
+            .then(result => {
+                this.running.delete(entry.jobId);
+                if (entry.onDone) entry.onDone(result);
+                this.wake();
+                return result;
+            });
+
+        this.running.set(entry.jobId, { startedAt: new Date(now).toISOString(), lagMs, promise, oneOff: Boolean(entry.runner) });
+    }
+
+    getStatus() {
+        const now = Date.now();
+        const queued = Array.from(this.entries.values()).sort((a, b) => a.dueAt - b.dueAt);
+        const overdue = queued.filter(entry => entry.dueAt <= now);
+        const runs = this.stats.completedRuns + this.stats.failedRuns;
+
+        return {
+            concurrency: CONFIG.SCHEDULER.CONCURRENCY,
+            running: Array.from(this.running.entries()).map(([jobId, run]) => ({ jobId, startedAt: run.startedAt, lagMs: run.lagMs })),
+            queued: queued.length,
+            overdue: overdue.length,
+            currentLagMs: overdue.length > 0 ? now - overdue[0].dueAt : 0,
+            averageLagMs: runs > 0 ? Math.round(this.stats.totalLagMs / runs) : 0,
+            maxLagMs: this.stats.maxLagMs,
+            completedRuns: this.stats.completedRuns,
+            failedRuns: this.stats.failedRuns,
+            skippedOverlaps: this.stats.skippedOverlaps,
+            nextRuns: queued.slice(0, 10).map(entry => ({ jobId: entry.jobId, dueAt: new Date(entry.dueAt).toISOString() }))
+        };
+    }
+
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.entries.forEach(entry => entry.onDone && entry.onDone(null));
+        this.oneOffs.forEach(entry => entry.onDone(null));
+        this.entries.clear();
+        this.oneOffs.clear();
+        this.queue.clear();
+    }
+}
+
+module.exports = new Scheduler();
\ No newline at end of file
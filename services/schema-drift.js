@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const STATE_FILE = path.join(DATA_DIR, 'schema-fingerprints.json');
+const SAMPLES_DIR = path.join(DATA_DIR, 'drift-samples');
+// Verschiedene gültige Formen, z.B. bei A/B-Tests von willhaben
+const MAX_KNOWN_SHAPES = 20;
+
+// Pfade je Anzeige, die normalizeListing liest (relativ zur Anzeige)
+const ADVERT_PATHS = [
+    'id',
+    'description',
+    'verticalId',
+    'attributes.attribute',
+    'attributes.attribute[]',
+    'attributes.attribute[].name',
+    'attributes.attribute[].values',
+    'advertImageList.advertImage',
+    'advertImageList.advertImage[]',
+    'contextLinkList.contextLink',
+    'advertStatus.id'
+];
+
+// Pfade, auf die sich der Parser verlässt, je Seitentyp. requiredPaths müssen vorhanden sein;
+// parsedPaths (relativ zu root) gehen nur mit ihrem Typ in den Fingerprint ein.
+const EXPECTED_STRUCTURES = {
+    search: {
+        root: 'props.pageProps.searchResult',
+        requiredPaths: [
+            'props.pageProps.searchResult',
+            'props.pageProps.searchResult.numFound',
+            'props.pageProps.searchResult.rows',
+            'props.pageProps.searchResult.advertSummaryList.advertSummary'
+        ],
+        parsedPaths: [
+            'numFound',
+            'rows',
+            'advertSummaryList.advertSummary',
+            'advertSummaryList.advertSummary[]',
+            ...ADVERT_PATHS.map(p => `advertSummaryList.advertSummary[].${p}`)
+        ]
+    },
+    detail: {
+        root: 'props.pageProps.advertDetails',
+        requiredPaths: [
+            'props.pageProps.advertDetails',
+            'props.pageProps.advertDetails.id',
+            'props.pageProps.advertDetails.attributes.attribute'
+        ],
+        parsedPaths: ADVERT_PATHS
+    }
+};
+
+// Kein Wert gesehen (fehlt, null oder leeres Array): passt zu jedem Typ
+const UNKNOWN = 'unknown';
+const MISSING = 'missing';
+
+function getPath(obj, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+// Alle Werte unter einem Pfad; "key[]" steht für jedes Element des Arrays unter key
+function valuesAt(value, dottedPath) {
+    return dottedPath.split('.').reduce((values, segment) => {
+        const expand = segment.endsWith('[]');
+        const key = expand ? segment.slice(0, -2) : segment;
+        return values.flatMap(current => {
+            const child = current?.[key];
+            if (child == null) return [];
+            return expand && Array.isArray(child) ? child.filter(item => item != null) : [child];
+        });
+    }, [value]);
+}
+
+function typeOf(value) {
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Beschreibt nur die Typen der Pfade, die der Parser liest, nicht die Werte.
+// Optionale Felder und leere Arrays ergeben UNKNOWN statt einer eigenen Form.
+function shapeOf(jsonData, expected) {
+    const shape = {};
+    expected.requiredPaths.forEach(requiredPath => {
+        const value = getPath(jsonData, requiredPath);
+        shape[requiredPath] = value === undefined ? MISSING : typeOf(value);
+    });
+
+    const root = getPath(jsonData, expected.root);
+    expected.parsedPaths.forEach(parsedPath => {
+        const fullPath = `${expected.root}.${parsedPath}`;
+        // Pflichtpfade sind schon erfasst; dort zählt ein Fehlen
+        if (shape[fullPath] !== undefined) return;
+        const types = [...new Set(valuesAt(root, parsedPath).map(typeOf))].sort();
+        shape[fullPath] = types.length > 0 ? types.join('|') : UNKNOWN;
+    });
+    return shape;
+}
+
+function typesCompatible(known, current) {
+    if (known === UNKNOWN || current === UNKNOWN) return true;
+    const knownTypes = known.split('|');
+    return current.split('|').some(type => knownTypes.includes(type));
+}
+
+function isCompatible(knownShape, shape) {
+    return Object.keys(shape).every(p => typesCompatible(knownShape[p] || UNKNOWN, shape[p]));
+}
+
+// Übernimmt, was eine kompatible Seite zusätzlich zeigt; liefert true bei Änderungen
+function mergeShape(knownShape, shape) {
+    let changed = false;
+    Object.entries(shape).forEach(([p, type]) => {
+        const known = knownShape[p] || UNKNOWN;
+        if (type === UNKNOWN || known === type) return;
+        const merged = known === UNKNOWN ? type : [...new Set([...known.split('|'), ...type.split('|')])].sort().join('|');
+        if (merged !== known) {
+            knownShape[p] = merged;
+            changed = true;
+        }
+    });
+    return changed;
+}
+
+function fingerprintOf(shape) {
+    const sorted = Object.keys(shape).sort().map(p => [p, shape[p]]);
+    return crypto.createHash('sha1').update(JSON.stringify(sorted)).digest('hex').substring(0, 12);
+}
+
+// Pfade, deren Typ sich gegenüber der zuletzt bekannten Form geändert hat
+function changedPaths(knownShape, shape) {
+    return Object.keys(shape)
+        .filter(p => !typesCompatible(knownShape?.[p] || UNKNOWN, shape[p]))
+        .map(p => ({ path: p, previous: knownShape?.[p] || UNKNOWN, current: shape[p] }));
+}
+
+class SchemaDriftDetector extends EventEmitter {
+    constructor() {
+        super();
+        this.state = this.loadState();
+    }
+
+    loadState() {
+        try {
+            return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveState() {
+        fs.promises.mkdir(DATA_DIR, { recursive: true })
+            .then(() => fs.promises.writeFile(STATE_FILE, JSON.stringify(this.state, null, 2)))
+            .catch(error => console.error(`[SchemaDrift] Failed to save fingerprints: ${error.message}`));
+    }
+
+    async saveSample(pageType, fingerprint, jsonData, url) {
+        const fileName = `${pageType}-${fingerprint}-${Date.now()}.json`;
+        const filePath = path.join(SAMPLES_DIR, fileName);
+        try {
+            await fs.promises.mkdir(SAMPLES_DIR, { recursive: true });
+            await fs.promises.writeFile(filePath, JSON.stringify({ url, capturedAt: new Date().toISOString(), data: jsonData }, null, 2));
+            return filePath;
+        } catch (error) {
+            console.error(`[SchemaDrift] Failed to save sample: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Prüft ein __NEXT_DATA__-Payload gegen die erwartete Struktur.
+    // Liefert die fehlenden Pflichtpfade; bei inkompatibler Struktur wird ein 'drift'-Event ausgelöst.
+    inspect(pageType, jsonData, url) {
+        const expected = EXPECTED_STRUCTURES[pageType];
+        if (!expected) throw new Error(`Unknown page type: ${pageType}`);
+
+        const missingPaths = expected.requiredPaths.filter(p => getPath(jsonData, p) === undefined);
+        const shape = shapeOf(jsonData, expected);
+        const now = new Date().toISOString();
+
+        // Zustand älterer Versionen (Fingerprint über die ganze Struktur) wird neu aufgebaut
+        const entry = this.state[pageType];
+        if (!entry || !Array.isArray(entry.knownShapes)) {
+            const fingerprint = fingerprintOf(shape);
+            this.state[pageType] = { fingerprint, knownShapes: [shape], firstSeenAt: now, lastSeenAt: now };
+            this.saveState();
+            if (missingPaths.length > 0) {
+                this.reportDrift(pageType, null, fingerprint, shape, missingPaths, jsonData, url);
+            }
+            return { fingerprint, missingPaths, drifted: missingPaths.length > 0 };
+        }
+
+        entry.lastSeenAt = now;
+        const known = entry.knownShapes.find(knownShape => isCompatible(knownShape, shape));
+        if (known) {
+            if (mergeShape(known, shape)) this.saveState();
+            return { fingerprint: fingerprintOf(known), missingPaths, drifted: false };
+        }
+
+        // Verglichen wird mit der ähnlichsten bekannten Form
+        const closest = entry.knownShapes.reduce((best, knownShape) => (
+            changedPaths(knownShape, shape).length < changedPaths(best, shape).length ? knownShape : best
+        ));
+        const fingerprint = fingerprintOf(shape);
+        this.reportDrift(pageType, closest, fingerprint, shape, missingPaths, jsonData, url);
+        entry.knownShapes = [...entry.knownShapes, shape].slice(-MAX_KNOWN_SHAPES);
+        entry.fingerprint = fingerprint;
+        this.saveState();
+        return { fingerprint, missingPaths, drifted: true };
+    }
+
+    reportDrift(pageType, previousShape, fingerprint, shape, missingPaths, jsonData, url) {
+        const alert = {
+            type: 'SCHEMA_DRIFT',
+            pageType,
+            url,
+            previousFingerprint: previousShape ? fingerprintOf(previousShape) : null,
+            fingerprint,
+            missingPaths,
+            changedPaths: changedPaths(previousShape, shape).slice(0, 50),
+            samplePath: null,
+            timestamp: new Date().toISOString()
+        };
+
+        this.saveSample(pageType, fingerprint, jsonData, url).then(samplePath => {
+            alert.samplePath = samplePath;
+            console.warn(`[SchemaDrift] ${pageType} payload changed shape (${alert.previousFingerprint} -> ${fingerprint}), sample: ${samplePath}`);
+            this.emit('drift', alert);
+        });
+    }
+
+    getState() {
+        return Object.entries(this.state).reduce((summary, [pageType, entry]) => {
+            summary[pageType] = {
+                fingerprint: entry.fingerprint,
+                knownShapes: entry.knownShapes?.length || 0,
+                firstSeenAt: entry.firstSeenAt,
+                lastSeenAt: entry.lastSeenAt
+            };
+            return summary;
+        }, {});
+    }
+}
+
+module.exports = new SchemaDriftDetector();
\ No newline at end of file
@@ -3,7 +3,19 @@ const http = require('http');
 const https = require('https');
 const sessionManager = require('./session-manager');
 const browserPool = require('./browser-pool');
-const { humanDelay, humanMouseMove, humanScroll, delay } = require('../utils/anti-detection');
+const schemaDrift = require('./schema-drift');
+const { humanDelay, humanMouseMove, humanScroll, delay, randomDelay } = require('../utils/anti-detection');
+const { buildAdUrl } = require('../utils/helpers');
+const { normalizeListing, validateListing } = require('../models/listing');
+const {
+    ScrapeError,
+    BlockedError,
+    RateLimitedError,
+    NotFoundError,
+    MarkupChangedError,
+    NetworkError,
+    parseRetryAfter
+} = require('../utils/scrape-errors');
 const CONFIG = require('../config/constants');
 
 // Axios Instance with Keep-Alive
@@ -65,10 +77,18 @@ async function scrapeWithBrowser(url, session) {
         await humanDelay();
         
         // Seite laden
-        await page.goto(url, {
-            waitUntil: 'networkidle2',
-            timeout: 30000
-        });
+        let response;
+        try {
+            response = await page.goto(url, {
+                waitUntil: 'networkidle2',
+                timeout: 30000
+            });
+        } catch (error) {
+            throw new NetworkError(`Navigation failed: ${error.message}`, { url });
+        }
+        
+        const statusError = response && classifyHttpStatus(response.status(), response.headers(), url);
+        if (statusError) throw statusError;
         
         // Menschliches Verhalten simulieren
         if (CONFIG.MOUSE_MOVEMENTS) {
@@ -83,14 +103,7 @@ async function scrapeWithBrowser(url, session) {
         await delay(Math.random() * 1000 + 1000);
         
         // Daten extrahieren
-        const jsonData = await page.evaluate(() => {
-            const scriptTag = document.querySelector('#__NEXT_DATA__');
-            return scriptTag ? JSON.parse(scriptTag.textContent) : null;
-        });
-        
-        if (!jsonData) {
-            throw new Error('Could not find __NEXT_DATA__ script tag');
-        }
+        const jsonData = extractNextData(await page.content(), url, response ? response.status() : 200);
         
         browserPool.release(browser);
         
@@ -103,9 +116,78 @@ async function scrapeWithBrowser(url, session) {
     }
 }
 
+// === Response Classification ===
+const NEXT_DATA_TAG = '<script id="__NEXT_DATA__" type="application/json">';
+const BLOCK_MARKERS = [/captcha/i, /access denied/i, /zugriff verweigert/i, /cf-chl/i, /px-captcha/i, /bot detection/i];
+const CONSENT_MARKERS = [/didomi/i, /consent/i, /cookie-einstellungen/i];
+
+function classifyHttpStatus(status, headers, url) {
+    if (status === 429) {
+        return new RateLimitedError(`Rate limited by willhaben (HTTP 429)`, {
+            url, statusCode: status, retryAfter: parseRetryAfter(headers?.['retry-after'])
+        });
+    }
+    if (status === 404 || status === 410) {
+        return new NotFoundError(`Page not found or search expired (HTTP ${status})`, { url, statusCode: status });
+    }
+    if (status === 403 || status === 401) {
+        return new BlockedError(`Access blocked by willhaben (HTTP ${status})`, { url, statusCode: status });
+    }
+    if (status === 503 && headers?.['retry-after']) {
+        return new RateLimitedError(`Service unavailable (HTTP 503)`, {
+            url, statusCode: status, retryAfter: parseRetryAfter(headers['retry-after'])
+        });
+    }
+    if (status >= 400) {
+        return new NetworkError(`Unexpected HTTP status ${status}`, { url, statusCode: status });
+    }
+    return null;
+}
+
+// Findet __NEXT_DATA__ oder erklärt, warum es fehlt (Block-Seite, Consent-Wall, geändertes Markup)
+function extractNextData(html, url, statusCode = 200) {
+    if (typeof html !== 'string') {
+        throw new MarkupChangedError('Response body is not HTML', { url, statusCode });
+    }
+
+    const start = html.indexOf(NEXT_DATA_TAG);
+    if (start === -1) {
+        if (BLOCK_MARKERS.some(marker => marker.test(html))) {
+            throw new BlockedError('Received a block or captcha page instead of listings', { url, statusCode });
+        }
+        if (CONSENT_MARKERS.some(marker => marker.test(html))) {
+            throw new BlockedError('Received a consent wall instead of listings', { url, statusCode });
+        }
+        throw new MarkupChangedError('Could not find __NEXT_DATA__ script tag', { url, statusCode });
+    }
+
+    const end = html.indexOf('</script>', start);
+    try {
+        return JSON.parse(html.substring(start + NEXT_DATA_TAG.length, end));
+    } catch (error) {
+        throw new MarkupChangedError(`__NEXT_DATA__ is not valid JSON: ${error.message}`, { url, statusCode });
+    }
+}
+
+function toScrapeError(error, url) {
+    if (error instanceof ScrapeError) return error;
+    if (error.response) {
+        return classifyHttpStatus(error.response.status, error.response.headers, url)
+            || new NetworkError(error.message, { url, statusCode: error.response.status });
+    }
+    return new NetworkError(`Network error: ${error.code || error.message}`, { url });
+}
+
+function retryDelay(scrapeError, policy, attempt) {
+    if (scrapeError.retryAfter && policy.honorRetryAfter) {
+        return scrapeError.retryAfter;
+    }
+    return Math.min(policy.baseDelay * Math.pow(2, attempt - 1), policy.maxDelay);
+}
+
 // Scraping mit Axios (klassisch)
 async function scrapeWithAxios(url, session, retries = 3) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
+    for (let attempt = 1; ; attempt++) {
         try {
             // Menschliche Verzögerung vor Request
             await humanDelay();
@@ -130,104 +212,105 @@ async function scrapeWithAxios(url, session, retries = 3) {
             // Cookies aus Response speichern
             session.updateCookies(response.headers['set-cookie']);
             
-            const html = response.data;
-            const jsonString = html.substring(
-                html.indexOf('<script id="__NEXT_DATA__" type="application/json">') + '<script id="__NEXT_DATA__" type="application/json">'.length,
-                html.indexOf('</script>', html.indexOf('<script id="__NEXT_DATA__" type="application/json">'))
-            );
-
-            return JSON.parse(jsonString);
+            return extractNextData(response.data, url, response.status);
             
         } catch (error) {
-            if (attempt < retries) {
-                const backoffDelay = Math.min(1000 * Math.pow(2, attempt), 10000);
-                console.log(`[Scraper] Attempt ${attempt} failed, retrying in ${backoffDelay}ms...`);
-                await delay(backoffDelay);
-            } else {
-                throw new Error(`Failed after ${retries} attempts: ${error.message}`);
+            const scrapeError = toScrapeError(error, url);
+            const policy = CONFIG.SCRAPE_RETRY_POLICIES[scrapeError.type];
+            const maxAttempts = Math.min(retries, policy.retries + 1);
+            const backoffDelay = retryDelay(scrapeError, policy, attempt);
+            
+            // Lange Retry-After-Zeiten nicht blockierend abwarten, sondern an den Aufrufer melden
+            if (attempt >= maxAttempts || backoffDelay > policy.maxDelay) {
+                if (attempt > 1) {
+                    scrapeError.message = `${scrapeError.message} (after ${attempt} attempts)`;
+                }
+                throw scrapeError;
             }
+            
+            console.log(`[Scraper] Attempt ${attempt} failed (${scrapeError.type}), retrying in ${backoffDelay}ms...`);
+            await delay(backoffDelay);
+        }
+    }
+}
+
+// Lädt __NEXT_DATA__ über Browser oder Axios
+async function fetchNextData(url, session, retries = 3) {
+    if (CONFIG.USE_HEADLESS_BROWSER) {
+        try {
+            return await scrapeWithBrowser(url, session);
+        } catch (error) {
+            throw toScrapeError(error, url);
         }
     }
+    return scrapeWithAxios(url, session, retries);
 }
 
 // Unified Scraping Function
 async function scrapeWillhabenPage(url, jobUrl, retries = 3) {
     const session = sessionManager.getSession(jobUrl);
+    const jsonData = await fetchNextData(url, session, retries);
     
-    let jsonData;
-    if (CONFIG.USE_HEADLESS_BROWSER) {
-        jsonData = await scrapeWithBrowser(url, session);
-    } else {
-        jsonData = await scrapeWithAxios(url, session, retries);
+    const pageProps = jsonData.props?.pageProps;
+    if (!pageProps?.searchResult && (pageProps?.is404 || pageProps?.statusCode === 404)) {
+        throw new NotFoundError('Search no longer exists', { url });
+    }
+    
+    const { missingPaths } = schemaDrift.inspect('search', jsonData, url);
+    if (missingPaths.length > 0) {
+        throw new MarkupChangedError(`__NEXT_DATA__ is missing ${missingPaths.join(', ')}`, { url });
     }
     
-    const searchResult = jsonData.props.pageProps.searchResult;
+    const searchResult = pageProps.searchResult;
     const listings = searchResult.advertSummaryList.advertSummary;
 
-    const formattedListings = listings.map(listing => {
-        const formatted = {
-            id: listing.id,
-            description: listing.description,
-            url: null,
-            image_urls: []
-        };
+    const formattedListings = normalizeListings(listings, { searchUrl: url });
 
-        if (listing.contextLinkList?.contextLink && listing.contextLinkList.contextLink.length > 0) {
-            const webLink = listing.contextLinkList.contextLink.find(link => 
-                link.uri && !link.uri.includes('api.willhaben') && !link.uri.includes('/restapi/')
-            );
-            
-            if (webLink) {
-                const uri = webLink.uri;
-                formatted.url = uri.startsWith('http') ? uri : `https://www.willhaben.at${uri}`;
-            } else {
-                const slug = listing.description
-                    .toLowerCase()
-                    .replace(/[^a-z0-9]+/g, '-')
-                    .replace(/^-|-$/g, '')
-                    .substring(0, 50);
-                
-                let category = 'kaufen-und-verkaufen';
-                
-                if (listing.attributes?.attribute) {
-                    const categoryAttr = listing.attributes.attribute.find(a => 
-                        a.name.toLowerCase().includes('category') || 
-                        a.name.toLowerCase().includes('section')
-                    );
-                    if (categoryAttr?.values?.[0]) {
-                        const catValue = categoryAttr.values[0].toLowerCase();
-                        if (catValue.includes('immo') || catValue.includes('wohnung') || catValue.includes('haus')) {
-                            category = 'immobilien';
-                        } else if (catValue.includes('auto') || catValue.includes('fahrzeug')) {
-                            category = 'auto';
-                        } else if (catValue.includes('job')) {
-                            category = 'jobs';
-                        }
-                    }
-                }
-                
-                formatted.url = `https://www.willhaben.at/iad/${category}/d/${slug}-${listing.id}`;
-            }
+    return {
+        totalListings: searchResult.numFound,
+        listingsPerPage: searchResult.rows,
+        currentPage: searchResult.page,
+        listings: formattedListings,
+        sessionInfo: {
+            sessionId: session.id,
+            userAgent: session.userAgent.substring(0, 50) + '...',
+            browserType: session.browserType,
+            requestCount: session.requestCount
         }
+    };
+}
 
-        if (listing.advertImageList?.advertImage) {
-            formatted.image_urls = listing.advertImageList.advertImage.map(img => img.url);
+// === Listing Normalization ===
+function normalizeListings(adverts, options = {}) {
+    return adverts.map(advert => {
+        const listing = normalizeListing(advert, options);
+        const { valid, errors } = validateListing(listing);
+        if (!valid) {
+            console.warn(`[Scraper] Listing ${listing.id} does not match schema: ${errors.join('; ')}`);
         }
+        return listing;
+    });
+}
 
-        listing.attributes.attribute.forEach(element => {
-            const key = element.name.toLowerCase().replace('/', '_');
-            const value = element.values[0];
-            formatted[key] = isNaN(value) ? value : Number(value);
-        });
+// === Listing Details ===
+async function scrapeListingDetails(urlOrId, retries = 3) {
+    const adUrl = buildAdUrl(urlOrId);
+    const session = sessionManager.getSession(adUrl);
+    const jsonData = await fetchNextData(adUrl, session, retries);
 
-        return formatted;
-    });
+    const pageProps = jsonData.props?.pageProps;
+    if (!pageProps?.advertDetails && (pageProps?.is404 || pageProps?.statusCode === 404 || pageProps?.advertNotFound)) {
+        throw new NotFoundError('Listing no longer exists', { url: adUrl });
+    }
+    
+    const { missingPaths } = schemaDrift.inspect('detail', jsonData, adUrl);
+    if (missingPaths.length > 0) {
+        throw new MarkupChangedError(`__NEXT_DATA__ is missing ${missingPaths.join(', ')}`, { url: adUrl });
+    }
+    const advert = pageProps.advertDetails;
 
     return {
-        totalListings: searchResult.numFound,
-        listingsPerPage: searchResult.rows,
-        currentPage: searchResult.page,
-        listings: formattedListings,
+        listing: normalizeListings([advert], { url: adUrl })[0],
         sessionInfo: {
             sessionId: session.id,
             userAgent: session.userAgent.substring(0, 50) + '...',
@@ -237,11 +320,53 @@ async function scrapeWillhabenPage(url, jobUrl, retries = 3) {
     };
 }
 
+// Scrapes pages 2..n of a search into allListings, up to the page willhaben still serves
+async function scrapeRemainingPages(baseUrl, jobUrl, firstPage, allListings) {
+    const { buildUrlWithPage } = require('../utils/helpers');
+    const totalPages = Math.ceil(firstPage.totalListings / firstPage.listingsPerPage);
+    const reachablePages = Math.min(totalPages, Math.ceil(CONFIG.RESULT_CAP.maxResults / firstPage.listingsPerPage));
+    
+    // Scrape remaining pages in parallel batches
+    const concurrency = CONFIG.CONCURRENT_PAGES;
+    const failedPages = [];
+    for (let i = 2; i <= reachablePages; i += concurrency) {
+        const pages = [];
+        for (let j = i; j < i + concurrency && j <= reachablePages; j++) {
+            pages.push(j);
+        }
+        
+        const results = await Promise.allSettled(
+            pages.map(page => scrapeWillhabenPage(buildUrlWithPage(baseUrl, page), jobUrl))
+        );
+        results.forEach((r, index) => {
+            if (r.status === 'fulfilled') {
+                r.value.listings.forEach(l => allListings.set(l.id, l));
+            } else {
+                failedPages.push({
+                    page: pages[index],
+                    type: r.reason?.type || 'UNKNOWN',
+                    message: r.reason?.message
+                });
+            }
+        });
+        
+        // Human-like delay between batches
+        if (i + concurrency <= reachablePages) {
+            await randomDelay(2000, 4000);
+        }
+    }
+    
+    return {
+        totalPages,
+        pagesScraped: Math.max(reachablePages, 1) - failedPages.length,
+        capped: reachablePages < totalPages,
+        failedPages
+    };
+}
+
 // Optimized Parallel Scraping
 async function scrapeAllPagesParallel(baseUrl, jobUrl, fastMode = false) {
     const allListings = new Map();
-    const { buildUrlWithPage, randomDelay } = require('../utils/helpers');
-    const { delay } = require('../utils/anti-detection');
     
     // Always scrape first page
     const firstPage = await scrapeWillhabenPage(baseUrl, jobUrl);
@@ -257,44 +382,186 @@ async function scrapeAllPagesParallel(baseUrl, jobUrl, fastMode = false) {
             totalListings,
             scrapedListings: allListings.size,
             pagesScraped: 1,
+            totalPages,
             listings: Array.from(allListings.values()),
             fastMode,
+            complete: totalPages <= 1,
+            failedPages: [],
             sessionInfo: firstPage.sessionInfo
         };
     }
     
-    // Scrape remaining pages in parallel batches
-    const concurrency = CONFIG.CONCURRENT_PAGES;
-    for (let i = 2; i <= totalPages; i += concurrency) {
-        const batch = [];
-        for (let j = i; j < i + concurrency && j <= totalPages; j++) {
-            batch.push(scrapeWillhabenPage(buildUrlWithPage(baseUrl, j), jobUrl));
-        }
+    if (totalListings > CONFIG.RESULT_CAP.maxResults) {
+        return scrapeSplitSearch(baseUrl, jobUrl, firstPage);
+    }
+    
+    const result = await scrapeRemainingPages(baseUrl, jobUrl, firstPage, allListings);
+    
+    return {
+        totalListings,
+        scrapedListings: allListings.size,
+        pagesScraped: result.pagesScraped,
+        totalPages,
+        listings: Array.from(allListings.values()),
+        fastMode: false,
+        // Incomplete results must not be treated as the full result set (missing != removed)
+        complete: result.failedPages.length === 0,
+        failedPages: result.failedPages,
+        coverage: {
+            split: false,
+            ratio: coverageRatio(allListings.size, totalListings)
+        },
+        sessionInfo: firstPage.sessionInfo
+    };
+}
+
+// === Result Cap Splitting ===
+// willhaben liefert pro Suche nur eine begrenzte Zahl an Ergebnissen. Größere Suchen werden
+// in Preisbänder (PRICE_FROM/PRICE_TO) zerlegt, bis jedes Band unter der Grenze liegt.
+// Anzeigen ohne Preis fallen dabei aus jedem Band heraus; coverage.ratio zeigt das ehrlich an,
+// und unter RESULT_CAP.minCoverage gilt das Ergebnis als unvollständig (fehlend != entfernt).
+function coverageRatio(scraped, total) {
+    return total > 0 ? Math.round((scraped / total) * 1000) / 1000 : 1;
+}
+
+function splitPriceRange(from, to) {
+    // Offenes Ende: Obergrenze schrittweise verdoppeln
+    const pivot = to === null
+        ? Math.max(from * 2, CONFIG.RESULT_CAP.initialPriceStep)
+        : Math.floor((from + to) / 2);
+    return [[from, pivot], [pivot + 1, to]];
+}
+
+async function scrapeSplitSearch(baseUrl, jobUrl, firstPage) {
+    const { buildUrlWithPriceRange } = require('../utils/helpers');
+    const url = new URL(baseUrl);
+    const lower = Number(url.searchParams.get('PRICE_FROM')) || 0;
+    const upper = url.searchParams.has('PRICE_TO') ? Number(url.searchParams.get('PRICE_TO')) : null;
+    
+    const allListings = new Map();
+    const failedPages = [];
+    const bands = [];
+    const queue = splitPriceRange(lower, upper);
+    let subSearches = 0;
+    let pagesScraped = 1;
+    
+    console.log(`[Scraper] ${firstPage.totalListings} results exceed the cap of ${CONFIG.RESULT_CAP.maxResults}, splitting by price`);
+    
+    while (queue.length > 0) {
+        const [from, to] = queue.shift();
+        const bandUrl = buildUrlWithPriceRange(baseUrl, from, to);
         
-        const results = await Promise.allSettled(batch);
-        results.forEach(r => {
-            if (r.status === 'fulfilled') {
-                r.value.listings.forEach(l => allListings.set(l.id, l));
-            }
-        });
+        await randomDelay(1000, 2000);
+        let bandFirstPage;
+        try {
+            bandFirstPage = await scrapeWillhabenPage(bandUrl, jobUrl);
+        } catch (error) {
+            failedPages.push({ priceFrom: from, priceTo: to, page: 1, type: error.type || 'UNKNOWN', message: error.message });
+            continue;
+        }
+        subSearches++;
+        pagesScraped++;
         
-        // Human-like delay between batches
-        if (i + concurrency <= totalPages) {
-            await randomDelay(2000, 4000);
+        const canSplit = to === null || to - from > 1;
+        const withinBudget = subSearches + queue.length + 2 <= CONFIG.RESULT_CAP.maxSubSearches;
+        if (bandFirstPage.totalListings > CONFIG.RESULT_CAP.maxResults && canSplit && withinBudget) {
+            queue.push(...splitPriceRange(from, to));
+            continue;
         }
+        
+        const bandListings = new Map(bandFirstPage.listings.map(l => [l.id, l]));
+        const result = await scrapeRemainingPages(bandUrl, jobUrl, bandFirstPage, bandListings);
+        pagesScraped += result.pagesScraped - 1;
+        bandListings.forEach((listing, id) => allListings.set(id, listing));
+        result.failedPages.forEach(page => failedPages.push({ priceFrom: from, priceTo: to, ...page }));
+        
+        bands.push({
+            priceFrom: from,
+            priceTo: to,
+            totalListings: bandFirstPage.totalListings,
+            scrapedListings: bandListings.size,
+            capped: result.capped
+        });
+    }
+    
+    bands.sort((a, b) => a.priceFrom - b.priceFrom);
+    const cappedBands = bands.filter(band => band.capped).length;
+    if (cappedBands > 0) {
+        console.warn(`[Scraper] ${cappedBands} price bands still exceed the cap for ${baseUrl}`);
+    }
+    const ratio = coverageRatio(allListings.size, firstPage.totalListings);
+    const covered = ratio >= CONFIG.RESULT_CAP.minCoverage;
+    if (!covered) {
+        console.warn(`[Scraper] Price bands found ${allListings.size} of ${firstPage.totalListings} results for ${baseUrl}, treating the result as incomplete`);
     }
     
     return {
-        totalListings,
+        totalListings: firstPage.totalListings,
         scrapedListings: allListings.size,
-        pagesScraped: totalPages,
+        pagesScraped,
+        totalPages: Math.ceil(firstPage.totalListings / firstPage.listingsPerPage),
         listings: Array.from(allListings.values()),
         fastMode: false,
+        complete: failedPages.length === 0 && cappedBands === 0 && covered,
+        failedPages,
+        coverage: {
+            split: true,
+            ratio,
+            subSearches,
+            cappedBands,
+            bands
+        },
         sessionInfo: firstPage.sessionInfo
     };
 }
 
+// Bumped and top ads stay on top regardless of their date, so a known one
+// doesn't mean the listings after it are known too
+function isPromotedListing(listing) {
+    return CONFIG.PROMOTED_AD_ATTRIBUTES.some(name => ['1', 'true'].includes(listing.attributes?.[name]?.[0]));
+}
+
+// Pages through the search sorted newest first and stops at the first page
+// that contains an already known, non-promoted ID; only unknown listings are returned
+async function scrapeNewestUntilKnown(baseUrl, jobUrl, knownIds, maxPages = CONFIG.INCREMENTAL_MAX_PAGES) {
+    const { buildUrlWithPage, buildNewestFirstUrl } = require('../utils/helpers');
+    const sortedUrl = buildNewestFirstUrl(baseUrl);
+    const newListings = new Map();
+    let totalListings = null;
+    let sessionInfo = null;
+    let pagesScraped = 0;
+    let reachedKnown = false;
+    
+    for (let page = 1; page <= maxPages; page++) {
+        const pageUrl = page === 1 ? sortedUrl : buildUrlWithPage(sortedUrl, page);
+        const pageData = await scrapeWillhabenPage(pageUrl, jobUrl);
+        pagesScraped++;
+        totalListings = pageData.totalListings;
+        sessionInfo = pageData.sessionInfo;
+        
+        pageData.listings.forEach(l => {
+            if (!knownIds.has(l.id)) {
+                newListings.set(l.id, l);
+            } else if (!isPromotedListing(l)) {
+                reachedKnown = true;
+            }
+        });
+        
+        const lastPage = Math.ceil(totalListings / pageData.listingsPerPage);
+        if (reachedKnown || page >= lastPage) {
+            return { listings: Array.from(newListings.values()), totalListings, pagesScraped, complete: true, sessionInfo };
+        }
+        
+        await randomDelay(2000, 4000);
+    }
+    
+    // Page limit hit before reaching known listings: there may be more new ones
+    return { listings: Array.from(newListings.values()), totalListings, pagesScraped, complete: false, sessionInfo };
+}
+
 module.exports = {
     scrapeWillhabenPage,
-    scrapeAllPagesParallel
+    scrapeAllPagesParallel,
+    scrapeNewestUntilKnown,
+    scrapeListingDetails
 };
\ No newline at end of file
@@ -150,7 +150,8 @@ class SessionManager {
 
 const sessionManager = new SessionManager();
 
-// Cleanup sessions periodically
-setInterval(() => sessionManager.cleanup(), CONFIG.SESSION_ROTATION_INTERVAL);
+// Cleanup sessions periodically; doesn't keep the process alive on its own
+const cleanupTimer = setInterval(() => sessionManager.cleanup(), CONFIG.SESSION_ROTATION_INTERVAL);
+if (cleanupTimer.unref) cleanupTimer.unref();
 
 module.exports = sessionManager;
\ No newline at end of file
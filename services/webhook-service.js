@@ -1,6 +1,7 @@
 const axios = require('axios');
 const http = require('http');
 const https = require('https');
+const { SCHEMA_VERSION } = require('../models/listing');
 
 // Axios Instance with Keep-Alive for webhooks
 const axiosInstance = axios.create({
@@ -17,28 +18,35 @@ const axiosInstance = axios.create({
     timeout: 10000
 });
 
+// Also used by dry-run checks to show what would be sent
+function buildWebhookPayload(changes, jobInfo) {
+    return {
+        timestamp: new Date().toISOString(),
+        schemaVersion: SCHEMA_VERSION,
+        monitoredUrl: jobInfo.originalUrl,
+        changes: changes,
+        changesCount: changes.length,
+        changesSummary: {
+            newListings: changes.filter(c => c.type === 'NEW_LISTING').length,
+            removedListings: changes.filter(c => c.type === 'REMOVED_LISTING').length,
+            priceChanges: changes.filter(c => c.type === 'PRICE_CHANGE').length,
+            descriptionChanges: changes.filter(c => c.type === 'DESCRIPTION_CHANGE').length,
+            fieldChanges: changes.filter(c => c.type === 'FIELD_CHANGE').length
+        },
+        monitoringInfo: {
+            checkCount: jobInfo.checkCount,
+            lastCheck: jobInfo.lastCheck,
+            currentListingsCount: jobInfo.lastSnapshot?.length || 0,
+            nextInterval: jobInfo.currentInterval
+        }
+    };
+}
+
 async function sendToWebhook(webhookUrl, changes, jobInfo) {
     if (!webhookUrl) return;
     
     try {
-        const payload = {
-            timestamp: new Date().toISOString(),
-            monitoredUrl: jobInfo.originalUrl,
-            changes: changes,
-            changesCount: changes.length,
-            changesSummary: {
-                newListings: changes.filter(c => c.type === 'NEW_LISTING').length,
-                removedListings: changes.filter(c => c.type === 'REMOVED_LISTING').length,
-                priceChanges: changes.filter(c => c.type === 'PRICE_CHANGE').length,
-                descriptionChanges: changes.filter(c => c.type === 'DESCRIPTION_CHANGE').length
-            },
-            monitoringInfo: {
-                checkCount: jobInfo.checkCount,
-                lastCheck: jobInfo.lastCheck,
-                currentListingsCount: jobInfo.lastSnapshot?.length || 0,
-                nextInterval: jobInfo.currentInterval
-            }
-        };
+        const payload = buildWebhookPayload(changes, jobInfo);
 
         await axiosInstance.post(webhookUrl, payload, {
             headers: { 'Content-Type': 'application/json' }
@@ -50,6 +58,26 @@ async function sendToWebhook(webhookUrl, changes, jobInfo) {
     }
 }
 
+async function sendAlertToWebhook(webhookUrl, alert) {
+    if (!webhookUrl) return;
+    
+    try {
+        await axiosInstance.post(webhookUrl, {
+            timestamp: new Date().toISOString(),
+            schemaVersion: SCHEMA_VERSION,
+            alert: alert
+        }, {
+            headers: { 'Content-Type': 'application/json' }
+        });
+        
+        console.log(`[Webhook] Successfully sent ${alert.type} alert to webhook`);
+    } catch (error) {
+        console.error(`[Webhook] Failed to send alert:`, error.message);
+    }
+}
+
 module.exports = {
-    sendToWebhook
+    buildWebhookPayload,
+    sendToWebhook,
+    sendAlertToWebhook
 };
\ No newline at end of file
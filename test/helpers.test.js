@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { rebuildUrl } = require('../utils/helpers');
+
+const SEARCH_URL = 'https://www.willhaben.at/iad/kaufen-und-verkaufen/marktplatz?keyword=rad';
+
+test('rebuildUrl keeps search parameters split off by Express', () => {
+    const req = { query: { url: SEARCH_URL, rows: '30', PRICE_TO: '500' } };
+    assert.strictEqual(rebuildUrl(req), `${SEARCH_URL}&rows=30&PRICE_TO=500`);
+});
+
+test('rebuildUrl leaves out the parameters of the endpoint itself', () => {
+    const req = {
+        query: { url: SEARCH_URL, rows: '30', interval: '5', webhook: 'https://n8n.example/hook', title: 'Rad', clear: 'true', unfiltered: 'true' }
+    };
+    assert.strictEqual(rebuildUrl(req), `${SEARCH_URL}&rows=30`);
+});
\ No newline at end of file
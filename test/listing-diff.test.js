@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateDiffFields, diffListings, contentHash } = require('../services/listing-diff');
+
+const listing = {
+    id: '1',
+    title: 'VW Golf 7 TDI',
+    description: 'Scheckheftgepflegt',
+    price: { amount: 9500, display: '€ 9.500' },
+    location: { postalCode: '1100', city: 'Wien' },
+    images: ['a.jpg', 'b.jpg'],
+    attributes: { MILEAGE: ['142000'] },
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    details: { mileage: 142000, derived: { ageYears: 9 } }
+};
+
+function edit(changes) {
+    return { ...listing, ...changes };
+}
+
+test('changed fields are reported by path, except those with their own event', () => {
+    const edited = edit({
+        title: 'VW Golf 7 TDI Highline',
+        price: { amount: 8900, display: '€ 8.900' },
+        location: { postalCode: '1100', city: 'Wien Favoriten' },
+        images: ['a.jpg']
+    });
+
+    assert.deepStrictEqual(diffListings(listing, edited), [
+        { path: 'location.city', oldValue: 'Wien', newValue: 'Wien Favoriten' },
+        { path: 'images', oldValue: ['a.jpg', 'b.jpg'], newValue: ['a.jpg'] }
+    ]);
+});
+
+test('by default raw attributes, bump times and derived values are ignored', () => {
+    const edited = edit({
+        attributes: { MILEAGE: ['150000'] },
+        updatedAt: '2024-02-01T00:00:00.000Z',
+        details: { mileage: 142000, derived: { ageYears: 10 } }
+    });
+
+    assert.deepStrictEqual(diffListings(listing, edited), []);
+});
+
+test('diffFields select paths and prefixes', () => {
+    const edited = edit({
+        location: { postalCode: '1030', city: 'Wien' },
+        details: { mileage: 150000, derived: { ageYears: 9 } },
+        attributes: { MILEAGE: ['150000'] }
+    });
+
+    assert.deepStrictEqual(diffListings(listing, edited, ['details.mileage']).map(diff => diff.path), ['details.mileage']);
+    assert.deepStrictEqual(diffListings(listing, edited, ['location', 'attributes']).map(diff => diff.path), ['location.postalCode', 'attributes.MILEAGE']);
+});
+
+test('fields missing from the older version are not a change; removed ones become null', () => {
+    const older = edit({ details: undefined });
+    const edited = edit({ location: undefined });
+
+    assert.deepStrictEqual(diffListings(older, listing), []);
+    assert.deepStrictEqual(diffListings(listing, edited), [{ path: 'location', oldValue: listing.location, newValue: null }]);
+});
+
+test('contentHash ignores derived values and bump times', () => {
+    const hash = contentHash(listing);
+
+    assert.strictEqual(contentHash(edit({ updatedAt: '2024-02-01T00:00:00.000Z', details: { mileage: 142000, derived: { ageYears: 10 } } })), hash);
+    assert.notStrictEqual(contentHash(edit({ price: { amount: 8900, display: '€ 8.900' } })), hash);
+});
+
+test('validateDiffFields only accepts known roots', () => {
+    assert.deepStrictEqual(validateDiffFields(['details.mileage', 'images']), []);
+    assert.strictEqual(validateDiffFields([]).length, 1);
+    assert.strictEqual(validateDiffFields(['colour', 'price.amount', 42]).length, 2);
+});
\ No newline at end of file
@@ -0,0 +1,41 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'willhaben-test-'));
+process.env.DB_PATH = path.join(dir, 'monitors.db');
+
+const persistence = require('../utils/persistence');
+const listingHistory = require('../services/listing-history-service');
+
+function listings() {
+    return [
+        { id: '201', title: 'Sofa', price: { amount: 300 } },
+        { id: '202', title: 'Tisch', price: { amount: 50 } }
+    ];
+}
+
+after(() => {
+    persistence.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('carried-over listings keep their last sighting', async () => {
+    await listingHistory.recordCheck('m1', listings(), [], { checkedAt: '2024-03-01T10:00:00.000Z' });
+
+    // 202 stood on a page that failed to load and was carried over from the last snapshot
+    const snapshot = listings();
+    await listingHistory.recordCheck('m1', snapshot, [], {
+        checkedAt: '2024-03-05T10:00:00.000Z',
+        seenIds: new Set(['201'])
+    });
+
+    assert.strictEqual(snapshot[0].lifecycle.lastSeenAt, '2024-03-05T10:00:00.000Z');
+    assert.strictEqual(snapshot[1].lifecycle.lastSeenAt, '2024-03-01T10:00:00.000Z');
+    assert.strictEqual(snapshot[1].lifecycle.daysOnMarket, 0);
+
+    const history = await listingHistory.getListingHistory('202');
+    assert.strictEqual(history.lifecycle.lastSeenAt, '2024-03-01T10:00:00.000Z');
+});
\ No newline at end of file
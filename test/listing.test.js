@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeListing, validateListing } = require('../models/listing');
+
+function attribute(name, ...values) {
+    return { name, values };
+}
+
+const advert = {
+    id: 123456,
+    description: 'Esstisch Eiche massiv',
+    attributes: {
+        attribute: [
+            attribute('DESCRIPTION', '<p>Sehr guter Zustand</p>'),
+            attribute('PRICE', '250'),
+            attribute('PRICE_FOR_DISPLAY', '€ 250 VB'),
+            attribute('POSTCODE', '1100'),
+            attribute('LOCATION', 'Favoriten'),
+            attribute('STATE', 'Wien'),
+            attribute('COORDINATES', '48.17,16.38'),
+            attribute('ISPRIVATE', '1'),
+            attribute('SEO_URL', 'd/esstisch-eiche-massiv-123456/')
+        ]
+    },
+    advertImageList: { advertImage: [{ referenceImageUrl: 'https://cache.willhaben.at/a.jpg' }] },
+    advertStatus: { id: 'ACTIVE' }
+};
+
+test('a search result advert is normalized into a valid listing', () => {
+    const listing = normalizeListing(advert);
+
+    assert.deepStrictEqual(validateListing(listing), { valid: true, errors: [] });
+    assert.strictEqual(listing.id, '123456');
+    assert.strictEqual(listing.title, 'Esstisch Eiche massiv');
+    assert.deepStrictEqual(listing.price, { amount: 250, currency: 'EUR', negotiable: true, free: false, display: '€ 250 VB' });
+    assert.strictEqual(listing.location.postcode, '1100');
+    assert.strictEqual(listing.seller.type, 'private');
+    assert.strictEqual(listing.status, 'active');
+    assert.deepStrictEqual(listing.images, ['https://cache.willhaben.at/a.jpg']);
+    assert.deepStrictEqual(listing.attributes.PRICE, ['250']);
+});
+
+test('an advert without price or details still normalizes to the full shape', () => {
+    const listing = normalizeListing({ id: '7', description: 'Gratis abzuholen', attributes: { attribute: [] } });
+
+    assert.deepStrictEqual(validateListing(listing), { valid: true, errors: [] });
+    assert.strictEqual(listing.price.amount, null);
+    assert.strictEqual(listing.description, null);
+    assert.deepStrictEqual(listing.images, []);
+});
+
+test('validateListing names every field that breaks the schema', () => {
+    const listing = normalizeListing(advert);
+    const broken = {
+        ...listing,
+        id: 123456,
+        price: { ...listing.price, amount: '250', currency: 'USD' },
+        seller: { type: 'dealer', name: null },
+        attributes: { PRICE: '250' }
+    };
+
+    assert.deepStrictEqual(validateListing(broken).errors, [
+        'id must be a non-empty string',
+        'price.amount must be a number or null',
+        'price.currency must be "EUR"',
+        'seller.type must be "private", "commercial" or null',
+        'attributes.PRICE must be an array of strings'
+    ]);
+    assert.deepStrictEqual(validateListing(null), { valid: false, errors: ['listing must be an object'] });
+});
+
+test('snapshots from before status and lifecycle stay valid; a broken lifecycle does not', () => {
+    const { status, ...older } = normalizeListing(advert);
+
+    assert.strictEqual(validateListing(older).valid, true);
+    assert.deepStrictEqual(validateListing({ ...older, lifecycle: { firstSeenAt: '2024-01-01T00:00:00.000Z' } }).errors, [
+        'lifecycle must have firstSeenAt, daysOnMarket and relistCount'
+    ]);
+});
\ No newline at end of file
@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { MIGRATIONS, migrate, serializeListing, LATEST_VERSION } = require('../utils/migrations');
+
+function openDatabase() {
+    const db = new sqlite3.Database(':memory:');
+    return {
+        run: (sql, params = []) => new Promise((resolve, reject) => {
+            db.run(sql, params, function (err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        }),
+        all: (sql, params = []) => new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        }),
+        close: () => new Promise(resolve => db.close(resolve))
+    };
+}
+
+// The monitors table as the app created it before versioned migrations
+async function seedLegacyMonitor(db, ...jobs) {
+    await db.run(`
+        CREATE TABLE monitors (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            url TEXT NOT NULL,
+            config TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    for (const job of jobs) {
+        await db.run('INSERT INTO monitors (url, config) VALUES (?, ?)', [job.normalizedUrl, JSON.stringify(job)]);
+    }
+}
+
+// A database at schema version 1: legacy rows with monitor IDs next to the changes table
+async function seedVersion1(db, ...jobs) {
+    await seedLegacyMonitor(db, ...jobs);
+    await MIGRATIONS[0].up(db);
+    await db.run('PRAGMA user_version = 1');
+}
+
+const URL = 'https://www.willhaben.at/iad/kaufen-und-verkaufen/marktplatz?keyword=lampe';
+
+function listing(id, lastSeenAt) {
+    return {
+        id,
+        title: `Lampe ${id}`,
+        price: { amount: 20 },
+        lifecycle: { firstSeenAt: '2024-01-01T00:00:00.000Z', lastSeenAt, removedAt: null, daysOnMarket: 3, relistCount: 0 }
+    };
+}
+
+test('migrated listings are stored without lifecycle under the version saveSnapshot computes', async () => {
+    const db = openDatabase();
+    const snapshot = [listing('1', '2024-01-04T00:00:00.000Z'), listing('2', '2024-01-04T00:00:00.000Z')];
+    await seedLegacyMonitor(db, { normalizedUrl: URL, originalUrl: URL, lastSnapshot: snapshot, changes: [] });
+
+    const result = await migrate(db);
+    assert.deepStrictEqual(result, { from: 0, to: LATEST_VERSION });
+
+    const rows = await db.all('SELECT listing_id, hash, data FROM listings ORDER BY listing_id');
+    assert.strictEqual(rows.length, 2);
+    rows.forEach((row, index) => {
+        assert.strictEqual(JSON.parse(row.data).lifecycle, undefined);
+        // A later check with a newer lastSeenAt still maps to the migrated version
+        const later = listing(snapshot[index].id, '2024-02-01T00:00:00.000Z');
+        assert.strictEqual(row.hash, serializeListing(later).hash);
+    });
+    await db.close();
+});
+
+const OTHER_URL = 'https://www.willhaben.at/iad/kaufen-und-verkaufen/marktplatz?keyword=tisch';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+test('legacy monitor rows get a UUID each', async () => {
+    const db = openDatabase();
+    await seedLegacyMonitor(db, { normalizedUrl: URL, changes: [] }, { normalizedUrl: OTHER_URL, changes: [] });
+
+    await migrate(db);
+
+    const rows = await db.all('SELECT id FROM monitors');
+    assert.strictEqual(rows.length, 2);
+    assert.ok(rows.every(row => UUID_PATTERN.test(row.id)));
+    assert.notStrictEqual(rows[0].id, rows[1].id);
+    await db.close();
+});
+
+test('a v1 database keeps the first monitor per URL with its ID, settings and state', async () => {
+    const db = openDatabase();
+    await seedVersion1(db,
+        { normalizedUrl: URL, title: 'Lampen', webhookUrl: 'https://n8n.example/hook', checkCount: 12, changes: [] },
+        { normalizedUrl: URL, title: 'Duplicate', checkCount: 1, changes: [] },
+        { normalizedUrl: OTHER_URL, title: 'Tische', changes: [] });
+    const [first, , other] = await db.all('SELECT monitor_id FROM monitors ORDER BY id');
+
+    const result = await migrate(db);
+    assert.deepStrictEqual(result, { from: 1, to: LATEST_VERSION });
+
+    const rows = await db.all('SELECT id, normalized_url, title, config, state FROM monitors ORDER BY title');
+    assert.deepStrictEqual(rows.map(row => [row.id, row.title]), [[first.monitor_id, 'Lampen'], [other.monitor_id, 'Tische']]);
+    assert.strictEqual(JSON.parse(rows[0].config).webhookUrl, 'https://n8n.example/hook');
+    assert.strictEqual(JSON.parse(rows[0].state).checkCount, 12);
+    assert.strictEqual(JSON.parse(rows[0].config).checkCount, undefined);
+    await db.close();
+});
+
+test('buffered changes of a v1 monitor are moved to the changes table once', async () => {
+    const db = openDatabase();
+    const changes = [
+        { type: 'NEW_LISTING', listingId: '1', timestamp: '2024-01-02T10:00:00.000Z' },
+        { type: 'PRICE_CHANGE', listingId: '2', timestamp: '2024-01-03T10:00:00.000Z' }
+    ];
+    await seedVersion1(db, { normalizedUrl: URL, changes });
+    const [{ monitor_id: monitorId }] = await db.all('SELECT monitor_id FROM monitors');
+    // The v1 app already stored the first change in the changes table
+    await db.run('INSERT INTO changes (monitor_id, type, listing_id, detected_at, data) VALUES (?, ?, ?, ?, ?)',
+        [monitorId, changes[0].type, changes[0].listingId, changes[0].timestamp, JSON.stringify(changes[0])]);
+
+    await migrate(db);
+
+    const stored = await db.all('SELECT type, listing_id FROM changes WHERE monitor_id = ? ORDER BY detected_at', [monitorId]);
+    assert.deepStrictEqual(stored, [{ type: 'NEW_LISTING', listing_id: '1' }, { type: 'PRICE_CHANGE', listing_id: '2' }]);
+    // The buffer still starts at the oldest change instead of replaying older history
+    const [{ state }] = await db.all('SELECT state FROM monitors');
+    assert.strictEqual(JSON.parse(state).changesClearedAt, '2024-01-02T09:59:59.999Z');
+    await db.close();
+});
+
+test('an up-to-date database is left alone', async () => {
+    const db = openDatabase();
+    await migrate(db);
+
+    assert.deepStrictEqual(await migrate(db), { from: LATEST_VERSION, to: LATEST_VERSION });
+    const applied = await db.all('SELECT version FROM schema_migrations ORDER BY version');
+    assert.deepStrictEqual(applied.map(row => row.version), MIGRATIONS.map(migration => migration.version));
+    await db.close();
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateFilterRules, applyFilterRules } = require('../services/notification-filter');
+
+function change(type, listing, extra = {}) {
+    return { type, listingId: listing.id, listing, timestamp: '2024-01-01T00:00:00.000Z', ...extra };
+}
+
+const golf = {
+    id: '1',
+    title: 'VW Golf 7 TDI',
+    description: 'Scheckheftgepflegt, Pickerl neu',
+    price: { amount: 9500 },
+    details: { mileage: 142000, firstRegistration: { year: 2015 } },
+    attributes: { FUEL: ['Diesel'], YEAR_MODEL: ['2015'] }
+};
+const polo = {
+    id: '2',
+    title: 'VW Polo',
+    description: 'Unfallschaden, Bastlerfahrzeug',
+    price: { amount: 1200 },
+    details: { mileage: 210000 },
+    attributes: { FUEL: ['Benzin'] }
+};
+const free = { id: '3', title: 'Reifen zu verschenken', price: null };
+
+test('without rules every change is kept', () => {
+    const changes = [change('NEW_LISTING', golf), change('REMOVED_LISTING', polo)];
+    assert.strictEqual(applyFilterRules(changes, null), changes);
+    assert.strictEqual(applyFilterRules(changes, {}), changes);
+});
+
+test('change types and price bounds must all match; listings without a price fail a bound', () => {
+    const changes = [change('NEW_LISTING', golf), change('NEW_LISTING', polo), change('REMOVED_LISTING', golf), change('NEW_LISTING', free)];
+
+    const kept = applyFilterRules(changes, { changeTypes: ['NEW_LISTING'], minPrice: 1000, maxPrice: 10000 });
+    assert.deepStrictEqual(kept.map(c => [c.type, c.listingId]), [['NEW_LISTING', '1'], ['NEW_LISTING', '2']]);
+    assert.deepStrictEqual(applyFilterRules(changes, { minPrice: 5000 }).map(c => c.listingId), ['1', '1']);
+    assert.deepStrictEqual(applyFilterRules(changes, { maxPrice: 5000 }).map(c => c.listingId), ['2']);
+});
+
+test('a price drop rule keeps large enough drops and lets other change types through', () => {
+    const rules = { minPriceDrop: { percent: 10, amount: 500 } };
+    const changes = [
+        change('PRICE_CHANGE', golf, { oldPrice: 11000, newPrice: 9500 }),
+        change('PRICE_CHANGE', polo, { oldPrice: 1500, newPrice: 1200 }),
+        change('PRICE_CHANGE', golf, { oldPrice: 9000, newPrice: 9500 }),
+        change('NEW_LISTING', polo)
+    ];
+
+    assert.deepStrictEqual(applyFilterRules(changes, rules).map(c => [c.type, c.listingId]), [['PRICE_CHANGE', '1'], ['NEW_LISTING', '2']]);
+});
+
+test('keywords match title and description case-insensitively', () => {
+    const changes = [change('NEW_LISTING', golf), change('NEW_LISTING', polo), change('NEW_LISTING', free)];
+
+    assert.deepStrictEqual(applyFilterRules(changes, { includeKeywords: ['vw'] }).map(c => c.listingId), ['1', '2']);
+    assert.deepStrictEqual(applyFilterRules(changes, { includeKeywords: ['vw'], excludeKeywords: ['UNFALL'] }).map(c => c.listingId), ['1']);
+});
+
+test('conditions resolve paths, details and attributes', () => {
+    const changes = [change('NEW_LISTING', golf), change('NEW_LISTING', polo)];
+    const kept = rules => applyFilterRules(changes, rules).map(c => c.listingId);
+
+    assert.deepStrictEqual(kept({ conditions: [{ field: 'mileage', op: '<', value: 150000 }] }), ['1']);
+    assert.deepStrictEqual(kept({ conditions: [{ field: 'details.firstRegistration.year', op: '>=', value: 2015 }] }), ['1']);
+    assert.deepStrictEqual(kept({ conditions: [{ field: 'year_model', op: '=', value: '2015' }] }), ['1']);
+    assert.deepStrictEqual(kept({ conditions: [{ field: 'fuel', op: 'in', value: ['benzin', 'elektro'] }] }), ['2']);
+    assert.deepStrictEqual(kept({ conditions: [{ field: 'title', op: 'contains', value: 'golf' }] }), ['1']);
+    // A field the listing doesn't have never matches
+    assert.deepStrictEqual(kept({ conditions: [{ field: 'details.power', op: '!=', value: 0 }] }), []);
+});
+
+test('validateFilterRules reports every invalid rule', () => {
+    assert.deepStrictEqual(validateFilterRules({ changeTypes: ['NEW_LISTING'], minPrice: 0, conditions: [{ field: 'mileage', op: '<', value: 1 }] }), []);
+
+    const errors = validateFilterRules({
+        changeTypes: ['SOLD'],
+        maxPrice: -1,
+        minPriceDrop: {},
+        includeKeywords: [''],
+        conditions: [{ field: 'mileage', op: '<', value: 'viel' }, { op: 'like', value: 1 }],
+        colour: 'red'
+    });
+    assert.strictEqual(errors.length, 8);
+    assert.ok(errors.includes('Unknown filter rule "colour"'));
+});
\ No newline at end of file
@@ -0,0 +1,57 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'willhaben-test-'));
+process.env.DB_PATH = path.join(dir, 'monitors.db');
+
+const persistence = require('../utils/persistence');
+const listingHistory = require('../services/listing-history-service');
+
+const URL = 'https://www.willhaben.at/iad/kaufen-und-verkaufen/marktplatz?keyword=test';
+
+function listings() {
+    return [
+        { id: '101', title: 'Fahrrad', price: { amount: 120 }, publishedAt: '2024-01-01T10:00:00.000Z' },
+        { id: '102', title: 'Kinderwagen', price: { amount: 80 }, publishedAt: '2024-01-02T10:00:00.000Z' }
+    ];
+}
+
+// Rows inserted, updated or deleted on the connection by the work
+async function rowsWritten(work) {
+    const [before] = await persistence._all('SELECT total_changes() AS count');
+    await work();
+    const [afterWork] = await persistence._all('SELECT total_changes() AS count');
+    return afterWork.count - before.count;
+}
+
+// One check as performSmartMonitoringCheck runs it: lifecycle first, then the snapshot
+async function check(monitorId, checkedAt) {
+    const snapshot = listings();
+    await listingHistory.recordCheck(monitorId, snapshot, [], { checkedAt });
+    return rowsWritten(() => persistence.saveSnapshot(monitorId, snapshot));
+}
+
+after(() => {
+    persistence.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('an unchanged second check writes no snapshot rows', async () => {
+    await persistence.saveMonitor('m1', { normalizedUrl: URL, originalUrl: URL });
+
+    assert.ok(await check('m1', '2024-02-01T10:00:00.000Z') > 0);
+    assert.strictEqual(await check('m1', '2024-02-03T10:00:00.000Z'), 0);
+});
+
+test('lifecycle is not stored with the listing and is re-attached on load', async () => {
+    const [, monitor] = (await persistence.getMonitors()).find(([id]) => id === 'm1');
+    assert.strictEqual(monitor.lastSnapshot.length, 2);
+    assert.ok(monitor.lastSnapshot.every(listing => listing.lifecycle === undefined));
+
+    await listingHistory.attachLifecycles(monitor.lastSnapshot);
+    assert.strictEqual(monitor.lastSnapshot[0].lifecycle.lastSeenAt, '2024-02-03T10:00:00.000Z');
+    assert.strictEqual(monitor.lastSnapshot[0].lifecycle.daysOnMarket, 33);
+});
\ No newline at end of file
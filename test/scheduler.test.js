@@ -0,0 +1,157 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const CONFIG = require('../config/constants');
+const Scheduler = require('../services/scheduler').constructor;
+
+const { CONCURRENCY } = CONFIG.SCHEDULER;
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let scheduler = null;
+let keepAlive = null;
+
+// The scheduler's own timer is unref'd and would let the test process exit while waiting
+beforeEach(() => {
+    scheduler = new Scheduler();
+    keepAlive = setInterval(() => {}, 1000);
+});
+
+afterEach(() => {
+    scheduler.clear();
+    clearInterval(keepAlive);
+    CONFIG.SCHEDULER.CONCURRENCY = CONCURRENCY;
+});
+
+test('due jobs run in order of their due time', async () => {
+    CONFIG.SCHEDULER.CONCURRENCY = 1;
+    const order = [];
+    const done = deferred();
+    scheduler.setRunner(async (jobId) => {
+        order.push(jobId);
+        if (order.length === 5) done.resolve();
+    });
+
+    [['d', 40], ['a', 0], ['c', 30], ['e', 50], ['b', 10]].forEach(([jobId, delay]) => {
+        scheduler.schedule(jobId, delay, { jitter: false });
+    });
+    await done.promise;
+
+    assert.deepStrictEqual(order, ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('rescheduling a job replaces its earlier plan', async () => {
+    const order = [];
+    scheduler.setRunner(async (jobId) => { order.push(jobId); });
+
+    scheduler.schedule('a', 10, { jitter: false });
+    scheduler.schedule('b', 20, { jitter: false });
+    scheduler.schedule('a', 40, { jitter: false });
+    scheduler.schedule('c', 30, { jitter: false });
+    scheduler.unschedule('c');
+    await wait(80);
+
+    assert.deepStrictEqual(order, ['b', 'a']);
+});
+
+test('never runs more checks than the concurrency limit at once', async () => {
+    CONFIG.SCHEDULER.CONCURRENCY = 2;
+    let active = 0;
+    let maxActive = 0;
+    scheduler.setRunner(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await wait(10);
+        active--;
+    });
+
+    await Promise.all(['a', 'b', 'c', 'd', 'e'].map(jobId => scheduler.runNow(jobId)));
+
+    assert.strictEqual(maxActive, 2);
+    assert.strictEqual(scheduler.getStatus().completedRuns, 5);
+});
+
+test('runNow on a running job shares the ongoing run', async () => {
+    const release = deferred();
+    let runs = 0;
+    scheduler.setRunner(async () => {
+        runs++;
+        await release.promise;
+        return runs;
+    });
+
+    const first = scheduler.runNow('a');
+    await wait(0);
+    const second = scheduler.runNow('a');
+    release.resolve();
+
+    assert.deepStrictEqual(await Promise.all([first, second]), [1, 1]);
+    assert.strictEqual(runs, 1);
+});
+
+test('a due run of a running job is skipped, not started alongside it', async () => {
+    const release = deferred();
+    let runs = 0;
+    scheduler.setRunner(async () => {
+        runs++;
+        await release.promise;
+    });
+
+    const first = scheduler.runNow('a');
+    await wait(0);
+    scheduler.schedule('a', 0, { jitter: false });
+    await wait(10);
+    release.resolve();
+    await first;
+
+    assert.strictEqual(runs, 1);
+    assert.strictEqual(scheduler.getStatus().skippedOverlaps, 1);
+});
+
+test('a one-off run waits for the running check and keeps the scheduled run', async () => {
+    const release = deferred();
+    const order = [];
+    scheduler.setRunner(async (jobId) => {
+        order.push(`check ${jobId}`);
+        await release.promise;
+    });
+
+    const check = scheduler.runNow('a');
+    await wait(0);
+    const oneOff = scheduler.runNow('a', {
+        runner: async (jobId) => {
+            order.push(`dry run ${jobId}`);
+            return 'dry';
+        }
+    });
+    scheduler.schedule('a', 60000, { jitter: false });
+    await wait(10);
+    assert.deepStrictEqual(order, ['check a']);
+
+    release.resolve();
+    await check;
+    assert.strictEqual(await oneOff, 'dry');
+    assert.deepStrictEqual(order, ['check a', 'dry run a']);
+    assert.strictEqual(scheduler.getStatus().queued, 1);
+});
+
+test('unscheduling a job resolves its pending runNow with null', async () => {
+    CONFIG.SCHEDULER.CONCURRENCY = 1;
+    const release = deferred();
+    scheduler.setRunner(async () => {
+        await release.promise;
+    });
+
+    const running = scheduler.runNow('a');
+    const pending = scheduler.runNow('b');
+    scheduler.unschedule('b');
+
+    assert.strictEqual(await pending, null);
+    release.resolve();
+    await running;
+});
\ No newline at end of file
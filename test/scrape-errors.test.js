@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RateLimitedError, NotFoundError, parseRetryAfter, sendScrapeError } = require('../utils/scrape-errors');
+
+function fakeResponse() {
+    return {
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    assert.strictEqual(parseRetryAfter('120'), 120000);
+    assert.strictEqual(parseRetryAfter(null), null);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+
+    const inOneMinute = new Date(Date.now() + 60000).toUTCString();
+    const ms = parseRetryAfter(inOneMinute);
+    assert.ok(ms > 55000 && ms <= 60000);
+    assert.strictEqual(parseRetryAfter('Thu, 01 Jan 1970 00:00:00 GMT'), 0);
+});
+
+test('sendScrapeError answers with the status of the error type and a Retry-After header', () => {
+    const res = fakeResponse();
+    sendScrapeError(res, new RateLimitedError('Rate limited by willhaben (HTTP 429)', { statusCode: 429, retryAfter: 90500 }));
+
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.headers['Retry-After'], '91');
+    assert.deepStrictEqual(res.body, { error: 'Rate limited by willhaben (HTTP 429)', type: 'RATE_LIMITED', statusCode: 429, retryAfter: 90500 });
+});
+
+test('sendScrapeError keeps other errors at 500', () => {
+    const notFound = fakeResponse();
+    sendScrapeError(notFound, new NotFoundError('Search no longer exists'));
+    assert.strictEqual(notFound.statusCode, 404);
+    assert.strictEqual(notFound.headers['Retry-After'], undefined);
+
+    const other = fakeResponse();
+    sendScrapeError(other, new Error('boom'));
+    assert.strictEqual(other.statusCode, 500);
+    assert.deepStrictEqual(other.body, { error: 'boom' });
+});
\ No newline at end of file
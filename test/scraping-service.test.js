@@ -0,0 +1,182 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const CONFIG = require('../config/constants');
+
+// No delays, no drift state on disk and no network: searches are answered by `search`,
+// which may also return a raw HTML body or throw an axios-style error
+const antiDetection = require('../utils/anti-detection');
+antiDetection.humanDelay = async () => {};
+antiDetection.randomDelay = async () => {};
+antiDetection.delay = async () => {};
+require('../services/schema-drift').inspect = () => ({ missingPaths: [] });
+
+let search = null;
+const requested = [];
+axios.create = () => ({
+    get: async (url) => {
+        requested.push(url);
+        const params = new URL(url).searchParams;
+        const answer = search(params);
+        if (answer.html !== undefined) return { status: 200, headers: {}, data: answer.html };
+        const { adverts, numFound, rows = 3 } = answer;
+        const page = Number(params.get('page') || 1);
+        const nextData = {
+            props: {
+                pageProps: {
+                    searchResult: {
+                        numFound,
+                        rows,
+                        page,
+                        advertSummaryList: { advertSummary: adverts.slice((page - 1) * rows, page * rows) }
+                    }
+                }
+            }
+        };
+        return {
+            status: 200,
+            headers: {},
+            data: `<html><script id="__NEXT_DATA__" type="application/json">${JSON.stringify(nextData)}</script></html>`
+        };
+    }
+});
+
+const { scrapeWillhabenPage, scrapeAllPagesParallel, scrapeNewestUntilKnown } = require('../services/scraping-service');
+
+const SEARCH_URL = 'https://www.willhaben.at/iad/kaufen-und-verkaufen/marktplatz?keyword=test';
+const { maxResults } = CONFIG.RESULT_CAP;
+
+function advert(id, { price = 100, bumped = false } = {}) {
+    const attribute = [{ name: 'HEADING', values: [`Anzeige ${id}`] }];
+    if (price !== null) attribute.push({ name: 'PRICE', values: [String(price)] });
+    if (bumped) attribute.push({ name: 'IS_BUMPED', values: ['1'] });
+    return { id: String(id), description: `Anzeige ${id}`, attributes: { attribute } };
+}
+
+// Answers like willhaben: PRICE_FROM/PRICE_TO leave out listings without a price
+function priceFilteredSearch(adverts) {
+    return (params) => {
+        if (!params.has('PRICE_FROM') && !params.has('PRICE_TO')) return { adverts, numFound: adverts.length };
+        const from = Number(params.get('PRICE_FROM') || 0);
+        const to = params.has('PRICE_TO') ? Number(params.get('PRICE_TO')) : Infinity;
+        const inBand = adverts.filter(a => {
+            const price = a.attributes.attribute.find(attr => attr.name === 'PRICE');
+            return price && Number(price.values[0]) >= from && Number(price.values[0]) <= to;
+        });
+        return { adverts: inBand, numFound: inBand.length };
+    };
+}
+
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+beforeEach(() => {
+    requested.length = 0;
+});
+
+test('incremental scan pages past a first page without known listings', async () => {
+    const adverts = [advert(9), advert(8), advert(7), advert(6), advert(5), advert(4), advert(3)];
+    search = () => ({ adverts, numFound: adverts.length });
+
+    const result = await scrapeNewestUntilKnown(SEARCH_URL, SEARCH_URL, new Set(['5', '4', '3']));
+
+    assert.deepStrictEqual(result.listings.map(l => l.id), ['9', '8', '7', '6']);
+    assert.strictEqual(result.pagesScraped, 2);
+    assert.strictEqual(result.complete, true);
+});
+
+test('incremental scan does not stop at a known promoted listing', async () => {
+    const adverts = [advert(1, { bumped: true }), advert(9), advert(8), advert(7), advert(2), advert(3)];
+    search = () => ({ adverts, numFound: adverts.length });
+
+    const result = await scrapeNewestUntilKnown(SEARCH_URL, SEARCH_URL, new Set(['1', '2', '3']));
+
+    assert.deepStrictEqual(result.listings.map(l => l.id), ['9', '8', '7']);
+    assert.strictEqual(result.pagesScraped, 2);
+});
+
+test('incremental scan reports an incomplete result at the page limit', async () => {
+    const adverts = [advert(9), advert(8), advert(7), advert(6), advert(5), advert(4), advert(1)];
+    search = () => ({ adverts, numFound: adverts.length });
+
+    const result = await scrapeNewestUntilKnown(SEARCH_URL, SEARCH_URL, new Set(['1']), 2);
+
+    assert.strictEqual(result.listings.length, 6);
+    assert.strictEqual(result.complete, false);
+    assert.strictEqual(requested.length, 2);
+});
+
+test('a search over the result cap is split into price bands', async (t) => {
+    t.after(() => { CONFIG.RESULT_CAP.maxResults = maxResults; });
+    CONFIG.RESULT_CAP.maxResults = 6;
+    const adverts = Array.from({ length: 12 }, (_, i) => advert(i + 1, { price: (i + 1) * 100 }));
+    search = priceFilteredSearch(adverts);
+
+    const result = await scrapeAllPagesParallel(SEARCH_URL, SEARCH_URL);
+
+    assert.strictEqual(result.listings.length, 12);
+    assert.strictEqual(result.coverage.split, true);
+    assert.strictEqual(result.coverage.ratio, 1);
+    assert.ok(result.coverage.bands.length > 1);
+    assert.ok(result.coverage.bands.every(band => band.totalListings <= 6));
+    assert.strictEqual(result.complete, true);
+});
+
+test('a split search missing listings without a price is incomplete', async (t) => {
+    t.after(() => { CONFIG.RESULT_CAP.maxResults = maxResults; });
+    CONFIG.RESULT_CAP.maxResults = 6;
+    const adverts = Array.from({ length: 12 }, (_, i) => advert(i + 1, { price: (i + 1) * 100 }));
+    adverts.push(advert(13, { price: null }), advert(14, { price: null }));
+    search = priceFilteredSearch(adverts);
+
+    const result = await scrapeAllPagesParallel(SEARCH_URL, SEARCH_URL);
+
+    assert.strictEqual(result.listings.length, 12);
+    assert.strictEqual(result.failedPages.length, 0);
+    assert.strictEqual(result.complete, false);
+});
+
+test('pages without listings are told apart: block page, consent wall, changed markup', async () => {
+    const page = html => {
+        search = () => ({ html });
+        return scrapeWillhabenPage(SEARCH_URL, SEARCH_URL, 1);
+    };
+
+    await assert.rejects(page('<html><div class="px-captcha"></div></html>'), { type: 'BLOCKED', message: /captcha/ });
+    await assert.rejects(page('<html><div id="didomi-host"></div></html>'), { type: 'BLOCKED', message: /consent wall/ });
+    await assert.rejects(page('<html><main>Neu!</main></html>'), { type: 'MARKUP_CHANGED' });
+    await assert.rejects(page('<script id="__NEXT_DATA__" type="application/json">{"props":</script>'), { type: 'MARKUP_CHANGED', message: /not valid JSON/ });
+});
+
+test('HTTP and network failures become typed errors', async () => {
+    const failing = error => {
+        search = () => { throw error; };
+        return scrapeWillhabenPage(SEARCH_URL, SEARCH_URL, 1);
+    };
+
+    await assert.rejects(failing(httpError(404)), { type: 'NOT_FOUND', statusCode: 404 });
+    await assert.rejects(failing(httpError(410)), { type: 'NOT_FOUND', statusCode: 410 });
+    await assert.rejects(failing(httpError(403)), { type: 'BLOCKED', statusCode: 403 });
+    await assert.rejects(failing(httpError(429, { 'retry-after': '20' })), { type: 'RATE_LIMITED', retryAfter: 20000 });
+    await assert.rejects(failing(httpError(503, { 'retry-after': '20' })), { type: 'RATE_LIMITED', statusCode: 503 });
+    await assert.rejects(failing(httpError(500)), { type: 'NETWORK', statusCode: 500 });
+    await assert.rejects(failing(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), { type: 'NETWORK', message: /ECONNRESET/ });
+});
+
+test('retries follow the policy of the error type', async () => {
+    const attempts = async (error, type) => {
+        requested.length = 0;
+        search = () => { throw error; };
+        await assert.rejects(scrapeWillhabenPage(SEARCH_URL, SEARCH_URL, 3), { type });
+        return requested.length;
+    };
+
+    assert.strictEqual(await attempts(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }), 'NETWORK'), 3);
+    assert.strictEqual(await attempts(httpError(404), 'NOT_FOUND'), 1);
+    assert.strictEqual(await attempts(httpError(429, { 'retry-after': '20' }), 'RATE_LIMITED'), 2);
+    // Waiting longer than the policy allows is left to the caller
+    assert.strictEqual(await attempts(httpError(429, { 'retry-after': '600' }), 'RATE_LIMITED'), 1);
+});
\ No newline at end of file
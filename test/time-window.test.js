@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateSchedule, isWithinSchedule, nextRunAt } = require('../utils/time-window');
+
+const VIENNA = 'Europe/Vienna';
+const MINUTE_MS = 60000;
+
+test('validateSchedule rejects mixed, malformed and six-field schedules', () => {
+    assert.deepStrictEqual(validateSchedule(null), []);
+    assert.deepStrictEqual(validateSchedule({ cron: '*/10 7-22 * * 1-5', timezone: VIENNA }), []);
+    assert.strictEqual(validateSchedule({ cron: '0 9 * * *', days: 'weekdays' }).length, 1);
+    assert.strictEqual(validateSchedule({ cron: '0 25 * * *' }).length, 1);
+    assert.strictEqual(validateSchedule({ cron: '0 0 9 * * *' }).length, 1);
+    assert.strictEqual(validateSchedule({ days: 'weekdays', hours: { from: 7, to: 7 } }).length, 1);
+    assert.strictEqual(validateSchedule({ days: 'weekdays', timezone: 'Mars/Base' }).length, 1);
+});
+
+test('a cron window matches minutes in the schedule timezone', () => {
+    const schedule = { cron: '*/10 7-22 * * 1-5', timezone: VIENNA };
+
+    // Monday 2026-10-19, Vienna is UTC+2
+    assert.strictEqual(isWithinSchedule(schedule, new Date('2026-10-19T05:10:00Z')), true);
+    assert.strictEqual(isWithinSchedule(schedule, new Date('2026-10-19T05:10:42Z')), true);
+    assert.strictEqual(isWithinSchedule(schedule, new Date('2026-10-19T05:15:00Z')), false);
+    assert.strictEqual(isWithinSchedule(schedule, new Date('2026-10-19T04:50:00Z')), false);
+    // Saturday
+    assert.strictEqual(isWithinSchedule(schedule, new Date('2026-10-24T10:00:00Z')), false);
+});
+
+test('cron windows accept names, lists, stepped ranges and 7 for Sunday', () => {
+    const at = iso => new Date(iso);
+
+    assert.strictEqual(isWithinSchedule({ cron: '0 9 * * mon,fri', timezone: 'UTC' }, at('2026-10-23T09:00:00Z')), true);
+    assert.strictEqual(isWithinSchedule({ cron: '0 9 * * mon,fri', timezone: 'UTC' }, at('2026-10-22T09:00:00Z')), false);
+    assert.strictEqual(isWithinSchedule({ cron: '30 * * oct-dec *', timezone: 'UTC' }, at('2026-10-22T13:30:00Z')), true);
+    assert.strictEqual(isWithinSchedule({ cron: '30 * * jan-sep *', timezone: 'UTC' }, at('2026-10-22T13:30:00Z')), false);
+    assert.strictEqual(isWithinSchedule({ cron: '0 8-18/5 * * *', timezone: 'UTC' }, at('2026-10-22T13:00:00Z')), true);
+    assert.strictEqual(isWithinSchedule({ cron: '0 8-18/5 * * *', timezone: 'UTC' }, at('2026-10-22T15:00:00Z')), false);
+    assert.strictEqual(isWithinSchedule({ cron: '* * * * 7', timezone: 'UTC' }, at('2026-10-25T12:00:00Z')), true);
+});
+
+test('an hours window past midnight belongs to the day it starts on', () => {
+    const schedule = { days: ['fri'], hours: { from: 22, to: 2 }, timezone: 'UTC' };
+
+    assert.strictEqual(isWithinSchedule(schedule, new Date('2026-10-23T23:00:00Z')), true);
+    assert.strictEqual(isWithinSchedule(schedule, new Date('2026-10-24T01:59:00Z')), true);
+    assert.strictEqual(isWithinSchedule(schedule, new Date('2026-10-24T02:00:00Z')), false);
+    assert.strictEqual(isWithinSchedule(schedule, new Date('2026-10-23T01:00:00Z')), false);
+});
+
+test('nextRunAt keeps the interval inside the window and moves to the next slot outside it', () => {
+    const schedule = { days: 'weekdays', hours: { from: 7, to: 23 }, timezone: VIENNA };
+    const monday = new Date('2026-10-19T08:00:00Z');
+
+    assert.deepStrictEqual(nextRunAt(schedule, 5 * MINUTE_MS, monday), new Date('2026-10-19T08:05:00Z'));
+    // Saturday noon: Monday 07:00 in Vienna
+    assert.deepStrictEqual(nextRunAt(schedule, 5 * MINUTE_MS, new Date('2026-10-24T10:00:00Z')), new Date('2026-10-26T06:00:00Z'));
+    assert.deepStrictEqual(nextRunAt(null, 5 * MINUTE_MS, monday), new Date('2026-10-19T08:05:00Z'));
+});
+
+test('nextRunAt follows the timezone across the end of daylight saving time', () => {
+    const schedule = { cron: '0 9 * * *', timezone: VIENNA };
+
+    // Vienna switches from UTC+2 to UTC+1 on 2026-10-25
+    assert.deepStrictEqual(nextRunAt(schedule, MINUTE_MS, new Date('2026-10-24T12:00:00Z')), new Date('2026-10-25T08:00:00Z'));
+});
+
+test('nextRunAt gives up when no minute matches in the next days', () => {
+    assert.strictEqual(nextRunAt({ cron: '0 0 30 2 *', timezone: 'UTC' }, MINUTE_MS, new Date('2026-10-19T08:00:00Z')), null);
+});
\ No newline at end of file
@@ -1,4 +1,6 @@
 const CONFIG = require('../config/constants');
+const { getZonedParts } = require('./time-window');
+const { InvalidUrlError } = require('./scrape-errors');
 
 function normalizeUrl(url) {
     try {
@@ -28,11 +30,58 @@ function buildUrlWithPage(baseUrl, pageNumber) {
     return url.toString();
 }
 
+// Gleiche Suche, eingeschränkt auf ein Preisband (to = null: nach oben offen)
+function buildUrlWithPriceRange(baseUrl, from, to) {
+    const url = new URL(baseUrl);
+    url.searchParams.delete('page');
+    url.searchParams.set('PRICE_FROM', from);
+    if (to === null) {
+        url.searchParams.delete('PRICE_TO');
+    } else {
+        url.searchParams.set('PRICE_TO', to);
+    }
+    return url.toString();
+}
+
+// Gleiche Suche, aber nach Aktualität sortiert (neueste zuerst)
+function buildNewestFirstUrl(baseUrl) {
+    const url = new URL(baseUrl);
+    url.searchParams.set('sort', CONFIG.NEWEST_FIRST_SORT);
+    url.searchParams.delete('page');
+    return url.toString();
+}
+
+// willhaben.at und seine Subdomains, aber nicht z.B. evilwillhaben.at
+function isWillhabenHost(hostname) {
+    return hostname === 'willhaben.at' || hostname.endsWith('.willhaben.at');
+}
+
+// Akzeptiert eine Anzeigen-URL oder eine reine Anzeigen-ID
+function buildAdUrl(urlOrId) {
+    const value = String(urlOrId).trim();
+    if (/^\d+$/.test(value)) {
+        return `https://www.willhaben.at/iad/object?adId=${value}`;
+    }
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new InvalidUrlError(`Invalid listing URL: ${value}`, { url: value });
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || !isWillhabenHost(url.hostname)) {
+        throw new InvalidUrlError('Only willhaben.at listing URLs are supported', { url: value });
+    }
+    return url.toString();
+}
+
+// Query parameters read by the URL-based endpoints themselves; everything else belongs to the search
+const API_PARAMS = new Set(['url', 'interval', 'webhook', 'title', 'clear', 'unfiltered']);
+
 function rebuildUrl(req) {
     const baseUrl = req.query.url;
     const otherParams = [];
     for (const key in req.query) {
-        if (key === 'url' || key === 'interval' || key === 'clear' || key === 'webhook') continue;
+        if (API_PARAMS.has(key)) continue;
         const encodedKey = encodeURIComponent(key);
         const encodedValue = encodeURIComponent(req.query[key]);
         otherParams.push(`${encodedKey}=${encodedValue}`);
@@ -48,8 +97,9 @@ function setsEqual(set1, set2) {
     return true;
 }
 
-function isPeakHours() {
-    const hour = new Date().getHours();
+// Stoßzeiten gelten in CONFIG.TIMEZONE, nicht in der Server-Zeitzone (im Docker-Container UTC)
+function isPeakHours(date = new Date()) {
+    const { hour } = getZonedParts(date, CONFIG.TIMEZONE);
     return hour >= CONFIG.PEAK_HOURS_START && hour < CONFIG.PEAK_HOURS_END;
 }
 
@@ -57,6 +107,10 @@ module.exports = {
     normalizeUrl,
     formatBytes,
     buildUrlWithPage,
+    buildNewestFirstUrl,
+    buildUrlWithPriceRange,
+    buildAdUrl,
+    isWillhabenHost,
     rebuildUrl,
     setsEqual,
     isPeakHours
@@ -1,6 +1,13 @@
 const winston = require('winston');
 const config = require('../config/config');
 
+// error.log/combined.log stay the current files; rotated ones are error1.log, combined1.log, ...
+const rotation = {
+    maxsize: config.logs.maxSizeMb * 1024 * 1024,
+    maxFiles: config.logs.maxFiles,
+    tailable: true
+};
+
 const logger = winston.createLogger({
     level: config.logLevel,
     format: winston.format.combine(
@@ -14,8 +21,8 @@ const logger = winston.createLogger({
                 winston.format.simple()
             )
         }),
-        new winston.transports.File({ filename: 'error.log', level: 'error' }),
-        new winston.transports.File({ filename: 'combined.log' })
+        new winston.transports.File({ filename: 'error.log', level: 'error', ...rotation }),
+        new winston.transports.File({ filename: 'combined.log', ...rotation })
     ]
 });
 
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// === Schema Migrations for data/monitors.db ===
+// The schema version lives in PRAGMA user_version; schema_migrations keeps a readable log.
+// Migrations run in order, each in its own transaction, and are never edited once released:
+// schema changes get a new entry at the end of the list.
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        // Everything the app used to create on startup; existing databases already have most of it
+        async up({ run, all }) {
+            await run(`
+                CREATE TABLE IF NOT EXISTS monitors (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    url TEXT NOT NULL,
+                    config TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Rows are keyed by a stable monitor UUID; older databases lack the column
+            const columns = await all('PRAGMA table_info(monitors)');
+            if (!columns.some(column => column.name === 'monitor_id')) {
+                await run('ALTER TABLE monitors ADD COLUMN monitor_id TEXT');
+            }
+            const legacyRows = await all('SELECT id FROM monitors WHERE monitor_id IS NULL');
+            for (const row of legacyRows) {
+                await run('UPDATE monitors SET monitor_id = ? WHERE id = ?', [uuidv4(), row.id]);
+            }
+
+            // Every detected change, kept independently of the monitor's in-memory buffer
+            await run(`
+                CREATE TABLE IF NOT EXISTS changes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    monitor_id TEXT NOT NULL,
+                    type TEXT NOT NULL,
+                    listing_id TEXT,
+                    detected_at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                )
+            `);
+            await run('CREATE INDEX IF NOT EXISTS idx_changes_monitor_time ON changes (monitor_id, detected_at)');
+            await run('CREATE INDEX IF NOT EXISTS idx_changes_listing ON changes (listing_id, detected_at)');
+            await run('CREATE INDEX IF NOT EXISTS idx_changes_type_time ON changes (type, detected_at)');
+
+            // Per-listing lifecycle across all monitors, keyed by willhaben ad ID
+            await run(`
+                CREATE TABLE IF NOT EXISTS listing_lifecycle (
+                    listing_id TEXT PRIMARY KEY,
+                    first_seen_at TEXT NOT NULL,
+                    last_seen_at TEXT NOT NULL,
+                    removed_at TEXT,
+                    relist_count INTEGER NOT NULL DEFAULT 0,
+                    last_price REAL
+                )
+            `);
+            await run(`
+                CREATE TABLE IF NOT EXISTS listing_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    listing_id TEXT NOT NULL,
+                    monitor_id TEXT,
+                    type TEXT NOT NULL,
+                    occurred_at TEXT NOT NULL,
+                    data TEXT
+                )
+            `);
+            await run('CREATE INDEX IF NOT EXISTS idx_listing_events_listing ON listing_events (listing_id, occurred_at)');
+        }
+    },
+    {
+        version: 2,
+        name: 'normalize_monitors',
+        // One row per monitor and search URL; the snapshot gets its own table and the
+        // change buffer is read from the changes table instead of the monitor's JSON
+        async up({ run, all }) {
+            await run(`
+                CREATE TABLE monitors_v2 (
+                    id TEXT PRIMARY KEY,
+                    normalized_url TEXT NOT NULL UNIQUE,
+                    original_url TEXT NOT NULL,
+                    title TEXT,
+                    status TEXT NOT NULL DEFAULT 'active',
+                    config TEXT NOT NULL,
+                    state TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                )
+            `);
+            await run(`
+                CREATE TABLE monitor_snapshots (
+                    monitor_id TEXT PRIMARY KEY,
+                    listings TEXT NOT NULL,
+                    listing_count INTEGER NOT NULL,
+                    hash TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                )
+            `);
+
+            // Same choice as the old loader: the first row per URL wins, later duplicates are dropped
+            const rows = await all('SELECT id, monitor_id, url, config, created_at FROM monitors ORDER BY id');
+            const seenUrls = new Set();
+            const seenIds = new Set();
+
+            for (const row of rows) {
+                let job;
+                try {
+                    job = { normalizedUrl: row.url, ...JSON.parse(row.config), id: row.monitor_id };
+                } catch (error) {
+                    console.warn(`[Migration] Dropping monitor row ${row.id} with unreadable config`);
+                    continue;
+                }
+                if (seenUrls.has(job.normalizedUrl) || seenIds.has(job.id)) {
+                    console.log(`[Migration] Dropping duplicate monitor row ${row.id} for ${job.normalizedUrl}`);
+                    continue;
+                }
+                seenUrls.add(job.normalizedUrl);
+                seenIds.add(job.id);
+
+                const createdAt = job.startedAt || new Date(`${row.created_at}Z`).toISOString();
+                const { config, state } = splitMonitor(job);
+                // The buffer resumes where the stored one started, so changes cleared before stay cleared
+                const oldestBuffered = (job.changes || [])[0]?.timestamp;
+                state.changesClearedAt = oldestBuffered
+                    ? new Date(new Date(oldestBuffered).getTime() - 1).toISOString()
+                    : new Date().toISOString();
+                await run(`
+                    INSERT INTO monitors_v2 (id, normalized_url, original_url, title, status, config, state, created_at, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [job.id, job.normalizedUrl, job.originalUrl || job.normalizedUrl, job.title || null, job.status || 'active',
+                    JSON.stringify(config), JSON.stringify(state), createdAt, new Date().toISOString()]);
+
+                const snapshot = job.lastSnapshot || [];
+                const listings = JSON.stringify(snapshot);
+                await run(
+                    'INSERT INTO monitor_snapshots (monitor_id, listings, listing_count, hash, updated_at) VALUES (?, ?, ?, ?, ?)',
+                    [job.id, listings, snapshot.length, hashSerialized(listings), job.lastCheck || createdAt]
+                );
+
+                // Buffered changes from before the changes table existed
+                for (const change of job.changes || []) {
+                    await run(`
+                        INSERT INTO changes (monitor_id, type, listing_id, detected_at, data)
+                        SELECT ?, ?, ?, ?, ?
+                        WHERE NOT EXISTS (
+                            SELECT 1 FROM changes WHERE monitor_id = ? AND type = ? AND listing_id IS ? AND detected_at = ?
+                        )
+                    `, [job.id, change.type, change.listingId || null, change.timestamp, JSON.stringify(change),
+                        job.id, change.type, change.listingId || null, change.timestamp]);
+                }
+            }
+
+            await run('DROP TABLE monitors');
+            await run('ALTER TABLE monitors_v2 RENAME TO monitors');
+        }
+    },
+    {
+        version: 3,
+        name: 'normalize_listings',
+        // Listings are stored once per ad ID and content version and linked to the monitors
+        // that saw that version, so a check only writes the listings that changed. Monitors
+        // keep their own baseline: two monitors may point at different versions of one ad.
+        async up({ run, all }) {
+            await run(`
+                CREATE TABLE listings (
+                    listing_id TEXT NOT NULL,
+                    hash TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    stored_at TEXT NOT NULL,
+                    PRIMARY KEY (listing_id, hash)
+                )
+            `);
+            await run(`
+                CREATE TABLE monitor_listings (
+                    monitor_id TEXT NOT NULL,
+                    listing_id TEXT NOT NULL,
+                    hash TEXT NOT NULL,
+                    first_seen_at TEXT NOT NULL,
+                    PRIMARY KEY (monitor_id, listing_id)
+                )
+            `);
+            await run('CREATE INDEX idx_monitor_listings_version ON monitor_listings (listing_id, hash)');
+            // Snapshot order (newest first) as a list of ad IDs; the fast path compares page 1 by it
+            await run("ALTER TABLE monitors ADD COLUMN listing_order TEXT NOT NULL DEFAULT '[]'");
+
+            const snapshots = await all('SELECT monitor_id, listings, updated_at FROM monitor_snapshots');
+            for (const snapshot of snapshots) {
+                const listings = JSON.parse(snapshot.listings);
+                for (const listing of listings) {
+                    const { data, hash } = serializeListing(listing);
+                    await run('INSERT OR IGNORE INTO listings (listing_id, hash, data, stored_at) VALUES (?, ?, ?, ?)',
+                        [String(listing.id), hash, data, snapshot.updated_at]);
+                    await run('INSERT OR IGNORE INTO monitor_listings (monitor_id, listing_id, hash, first_seen_at) VALUES (?, ?, ?, ?)',
+                        [snapshot.monitor_id, String(listing.id), hash, snapshot.updated_at]);
+                }
+                await run('UPDATE monitors SET listing_order = ? WHERE id = ?',
+                    [JSON.stringify(listings.map(listing => listing.id)), snapshot.monitor_id]);
+            }
+
+            await run('DROP TABLE monitor_snapshots');
+        }
+    },
+    {
+        version: 4,
+        name: 'check_runs',
+        // One row per finished check (successful or not), pruned by RETENTION_RUNS_DAYS
+        async up({ run }) {
+            await run(`
+                CREATE TABLE check_runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    monitor_id TEXT NOT NULL,
+                    started_at TEXT NOT NULL,
+                    finished_at TEXT NOT NULL,
+                    outcome TEXT NOT NULL,
+                    data TEXT NOT NULL
+                )
+            `);
+            await run('CREATE INDEX idx_check_runs_monitor_time ON check_runs (monitor_id, finished_at)');
+            await run('CREATE INDEX idx_check_runs_time ON check_runs (finished_at)');
+        }
+    }
+];
+
+// Monitor settings (what a user configures) vs. runtime state (what checks update)
+const CONFIG_FIELDS = [
+    'group', 'tags', 'source', 'webhookUrl', 'filters', 'diffFields', 'removalConfirmation',
+    'scanMode', 'reconcileInterval', 'schedule', 'configuredInterval'
+];
+const STATE_FIELDS = [
+    'pausedAt', 'currentInterval', 'pendingRemovals', 'lastReconcileAt', 'lastTotalListings',
+    'startedAt', 'lastCheck', 'nextCheckAt', 'checkCount', 'consecutiveErrors', 'lastError',
+    'lastScrapingStats', 'changesClearedAt'
+];
+
+function pick(job, fields) {
+    const result = {};
+    fields.forEach(field => {
+        if (job[field] !== undefined) result[field] = job[field];
+    });
+    return result;
+}
+
+function splitMonitor(job) {
+    return { config: pick(job, CONFIG_FIELDS), state: pick(job, STATE_FIELDS) };
+}
+
+// Content version of already serialized data (a whole snapshot, or one listing)
+function hashSerialized(serialized) {
+    return crypto.createHash('sha1').update(serialized).digest('hex');
+}
+
+// A listing's stored form and version. lifecycle changes on every check and lives in
+// listing_lifecycle, so it is not part of a version.
+function serializeListing(listing) {
+    const { lifecycle, ...content } = listing;
+    const data = JSON.stringify(content);
+    return { data, hash: hashSerialized(data) };
+}
+
+// helpers: { run, all } bound to the open database
+async function migrate(helpers) {
+    await helpers.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+    const [{ user_version: currentVersion }] = await helpers.all('PRAGMA user_version');
+    const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+
+    for (const migration of pending) {
+        await helpers.run('BEGIN TRANSACTION');
+        try {
+            await migration.up(helpers);
+            await helpers.run('INSERT OR REPLACE INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.name, new Date().toISOString()]);
+            // PRAGMA takes no bound parameters; the version is a trusted integer
+            await helpers.run(`PRAGMA user_version = ${migration.version}`);
+            await helpers.run('COMMIT');
+            console.log(`[Migration] Applied ${migration.version} ${migration.name}`);
+        } catch (error) {
+            await helpers.run('ROLLBACK');
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+        }
+    }
+
+    return { from: currentVersion, to: pending.length > 0 ? pending[pending.length - 1].version : currentVersion };
+}
+
+module.exports = {
+    MIGRATIONS,
+    LATEST_VERSION: MIGRATIONS[MIGRATIONS.length - 1].version,
+    splitMonitor,
+    hashSerialized,
+    serializeListing,
+    migrate
+};
\ No newline at end of file
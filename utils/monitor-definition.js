@@ -0,0 +1,168 @@
+const inputValidation = require('./input-validation');
+const { validateFilterRules } = require('../services/notification-filter');
+const { validateDiffFields } = require('../services/listing-diff');
+const { validateSchedule } = require('./time-window');
+const CONFIG = require('../config/constants');
+const { isWillhabenHost } = require('./helpers');
+
+// === Monitor Definitions ===
+// A monitor as written by users: the body of POST/PATCH /api/monitors and one entry of the
+// monitors config file (services/monitor-config.js). Intervals are given in minutes.
+
+// Tags are matched case-insensitively, so they are stored in lower case
+function normalizeTags(tags) {
+    return Array.from(new Set(tags.map(tag => tag.trim().toLowerCase())));
+}
+
+// Validates a create/update body; returns { errors, updates }
+function parseMonitorBody(body, { requireUrl }) {
+    const errors = [];
+    const updates = {};
+    
+    if (body.url !== undefined) {
+        if (typeof body.url !== 'string' || !inputValidation.validateUrl(body.url)) {
+            errors.push('"url" must be a valid http(s) URL');
+        } else if (!isWillhabenHost(new URL(body.url).hostname)) {
+            errors.push('"url" must be a willhaben.at search URL');
+        } else {
+            updates.url = body.url;
+        }
+    } else if (requireUrl) {
+        errors.push('"url" is required');
+    }
+    
+    const webhook = body.webhookUrl !== undefined ? body.webhookUrl : body.webhook;
+    if (webhook !== undefined) {
+        if (webhook === null || webhook === '') {
+            updates.webhookUrl = null;
+        } else if (typeof webhook !== 'string' || !inputValidation.validateWebhookUrl(webhook)) {
+            errors.push('"webhookUrl" must be a valid URL');
+        } else {
+            updates.webhookUrl = webhook;
+        }
+    }
+    
+    if (body.title !== undefined) {
+        if (body.title !== null && typeof body.title !== 'string') {
+            errors.push('"title" must be a string');
+        } else {
+            updates.title = body.title ? body.title.trim() : null;
+        }
+    }
+    
+    if (body.group !== undefined) {
+        if (body.group !== null && typeof body.group !== 'string') {
+            errors.push('"group" must be a string or null');
+        } else {
+            updates.group = body.group && body.group.trim() ? body.group.trim() : null;
+        }
+    }
+    
+    if (body.tags !== undefined) {
+        if (body.tags !== null && (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string' || !tag.trim()))) {
+            errors.push('"tags" must be a list of non-empty strings');
+        } else {
+            updates.tags = normalizeTags(body.tags || []);
+        }
+    }
+    
+    if (body.interval !== undefined) {
+        const interval = body.interval === null ? null : Number(body.interval);
+        if (interval !== null && (!Number.isFinite(interval) || interval <= 0)) {
+            errors.push('"interval" must be a positive number of minutes or null');
+        } else {
+            updates.intervalMinutes = interval;
+        }
+    }
+    
+    if (body.filters !== undefined) {
+        const filterErrors = validateFilterRules(body.filters);
+        if (filterErrors.length > 0) {
+            errors.push(...filterErrors);
+        } else {
+            // An empty object removes all rules
+            updates.filters = body.filters && Object.keys(body.filters).length > 0 ? body.filters : null;
+        }
+    }
+    
+    if (body.diffFields !== undefined) {
+        const diffErrors = validateDiffFields(body.diffFields);
+        if (diffErrors.length > 0) {
+            errors.push(...diffErrors);
+        } else {
+            // null restores the default field set
+            updates.diffFields = body.diffFields;
+        }
+    }
+    
+    if (body.removalConfirmation !== undefined) {
+        const confirmation = body.removalConfirmation;
+        if (confirmation === null) {
+            updates.removalConfirmation = null;
+        } else if (typeof confirmation !== 'object' || Array.isArray(confirmation)) {
+            errors.push('"removalConfirmation" must be an object or null');
+        } else if (confirmation.checks !== undefined && (!Number.isInteger(confirmation.checks) || confirmation.checks < 1)) {
+            errors.push('"removalConfirmation.checks" must be a positive integer');
+        } else if (confirmation.verifyDetails !== undefined && typeof confirmation.verifyDetails !== 'boolean') {
+            errors.push('"removalConfirmation.verifyDetails" must be a boolean');
+        } else {
+            updates.removalConfirmation = {};
+            if (confirmation.checks !== undefined) updates.removalConfirmation.checks = confirmation.checks;
+            if (confirmation.verifyDetails !== undefined) updates.removalConfirmation.verifyDetails = confirmation.verifyDetails;
+        }
+    }
+    
+    if (body.schedule !== undefined) {
+        const scheduleErrors = validateSchedule(body.schedule);
+        if (scheduleErrors.length > 0) {
+            errors.push(...scheduleErrors);
+        } else {
+            // null removes the schedule: checks run around the clock again
+            updates.schedule = body.schedule ? { timezone: CONFIG.TIMEZONE, ...body.schedule } : null;
+        }
+    }
+    
+    if (body.scanMode !== undefined) {
+        if (!['full', 'incremental'].includes(body.scanMode)) {
+            errors.push('"scanMode" must be "full" or "incremental"');
+        } else {
+            updates.scanMode = body.scanMode;
+        }
+    }
+    
+    if (body.reconcileInterval !== undefined) {
+        const reconcile = body.reconcileInterval === null ? null : Number(body.reconcileInterval);
+        if (reconcile !== null && (!Number.isFinite(reconcile) || reconcile <= 0)) {
+            errors.push('"reconcileInterval" must be a positive number of minutes or null');
+        } else {
+            updates.reconcileMinutes = reconcile;
+        }
+    }
+    
+    return { errors, updates };
+}
+
+// Inverse of parseMonitorBody, used for the export. Defaults are left out to keep files short.
+function toMonitorDefinition(job) {
+    const definition = { id: job.id };
+    if (job.title) definition.title = job.title;
+    definition.url = job.originalUrl;
+    if (job.group) definition.group = job.group;
+    if (job.tags?.length > 0) definition.tags = job.tags;
+    if (job.webhookUrl) definition.webhookUrl = job.webhookUrl;
+    if (job.configuredInterval) definition.interval = job.configuredInterval / 60000;
+    if (job.schedule) definition.schedule = job.schedule;
+    if (job.filters) definition.filters = job.filters;
+    if (job.diffFields) definition.diffFields = job.diffFields;
+    if (job.removalConfirmation) definition.removalConfirmation = job.removalConfirmation;
+    if (job.scanMode && job.scanMode !== 'full') definition.scanMode = job.scanMode;
+    if (job.reconcileInterval) definition.reconcileInterval = job.reconcileInterval / 60000;
+    if (job.status === 'paused') definition.paused = true;
+    return definition;
+}
+
+module.exports = {
+    normalizeTags,
+    parseMonitorBody,
+    toMonitorDefinition
+};
\ No newline at end of file
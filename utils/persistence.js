@@ -1,99 +1,589 @@
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
 const path = require('path');
+const { dbPath } = require('../config/config');
+const CONFIG = require('../config/constants');
+const { migrate, splitMonitor, serializeListing, LATEST_VERSION } = require('./migrations');
+
+const DB_PATH = dbPath || path.join(__dirname, '../data/monitors.db');
+
+// Data pruned by age (services/retention-service.js); the cutoff is the only parameter
+const PRUNE_TARGETS = {
+    changes: { table: 'changes', where: 'detected_at < ?' },
+    events: { table: 'listing_events', where: 'occurred_at < ?' },
+    runs: { table: 'check_runs', where: 'finished_at < ?' },
+    // Listings gone for good; one that a monitor still holds is never pruned
+    removedListings: {
+        table: 'listing_lifecycle',
+        where: 'removed_at < ? AND listing_id NOT IN (SELECT listing_id FROM monitor_listings)'
+    }
+};
 
 class PersistenceManager {
     constructor() {
-        this.db = new sqlite3.Database(path.join(__dirname, '../data/monitors.db'));
+        this.dbPath = DB_PATH;
+        this.db = new sqlite3.Database(DB_PATH);
+        this.storedListings = new Map();    // monitorId -> Map(listingId -> stored version hash)
+        this.storedOrder = new Map();       // monitorId -> stored listing_order
+        this.queue = Promise.resolve();
+        this.migration = null;
         this.initialized = this.init();
     }
 
-    _cleanConfigForStorage(config) {
-        return {
-            title: config.title,
-            originalUrl: config.originalUrl,
-            normalizedUrl: config.normalizedUrl,
-            webhookUrl: config.webhookUrl,
-            currentInterval: config.currentInterval,
-            lastSnapshot: config.lastSnapshot,
-            changes: config.changes,
-            startedAt: config.startedAt,
-            lastCheck: config.lastCheck,
-            nextCheckAt: config.nextCheckAt,
-            checkCount: config.checkCount,
-            consecutiveErrors: config.consecutiveErrors,
-            lastError: config.lastError,
-            lastScrapingStats: config.lastScrapingStats
-        };
-    }
-
-    async init() {
+    _run(sql, params = []) {
         return new Promise((resolve, reject) => {
-            this.db.run(`
-                CREATE TABLE IF NOT EXISTS monitors (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    url TEXT NOT NULL,
-                    config TEXT NOT NULL,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
+            this.db.run(sql, params, function (err) {
                 if (err) reject(err);
-                else resolve();
+                else resolve(this);
             });
         });
     }
 
-    async saveMonitor(url, config) {
-        await this.initialized;
-        const cleanConfig = this._cleanConfigForStorage(config);
+    _all(sql, params = []) {
         return new Promise((resolve, reject) => {
-            const stmt = this.db.prepare('INSERT INTO monitors (url, config) VALUES (?, ?)');
-            stmt.run(url, JSON.stringify(cleanConfig), (err) => {
+            this.db.all(sql, params, (err, rows) => {
                 if (err) reject(err);
-                else resolve();
+                else resolve(rows);
             });
-            stmt.finalize();
         });
     }
 
-    async getMonitors() {
+    // Serializes transactions and VACUUM; the connection can't nest or overlap them
+    _enqueue(work) {
+        const result = this.queue.then(work);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    _transaction(work) {
+        return this._enqueue(async () => {
+            await this._run('BEGIN TRANSACTION');
+            try {
+                const value = await work();
+                await this._run('COMMIT');
+                return value;
+            } catch (err) {
+                await this._run('ROLLBACK');
+                throw err;
+            }
+        });
+    }
+
+    async init() {
+        await this._backupBeforeMigration();
+        this.migration = await migrate({
+            run: (sql, params) => this._run(sql, params),
+            all: (sql, params) => this._all(sql, params)
+        });
+    }
+
+    // Keeps a copy of the database as it was before a schema upgrade
+    async _backupBeforeMigration() {
+        const [{ user_version: version }] = await this._all('PRAGMA user_version');
+        const tables = await this._all("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'monitors'");
+        if (version >= LATEST_VERSION || tables.length === 0) return;
+
+        const backupPath = `${DB_PATH}.v${version}.bak`;
+        await fs.promises.rm(backupPath, { force: true });
+        await this._run('VACUUM INTO ?', [backupPath]);
+        console.log(`[Persistence] Upgrading schema from version ${version}, backup at ${backupPath}`);
+    }
+
+    _monitorParams(monitorId, config) {
+        const { config: settings, state } = splitMonitor(config);
+        return [
+            config.normalizedUrl,
+            config.originalUrl,
+            config.title || null,
+            config.status || 'active',
+            JSON.stringify(settings),
+            JSON.stringify(state),
+            new Date().toISOString(),
+            monitorId
+        ];
+    }
+
+    // Writes only the listings that differ from what is stored for the monitor: new and changed
+    // versions are linked, vanished ones unlinked, and versions no monitor refers to are dropped
+    async saveSnapshot(monitorId, listings = []) {
         await this.initialized;
-        return new Promise((resolve, reject) => {
-            this.db.all('SELECT url, config FROM monitors', (err, rows) => {
-                if (err) reject(err);
-                else {
-                    // Transform the rows back to the original format
-                    const monitors = rows.map(row => [
-                        row.url,
-                        JSON.parse(row.config)
-                    ]);
-                    resolve(monitors);
+        const stored = this.storedListings.get(monitorId) || new Map();
+        const current = new Map();
+        const linked = [];
+
+        for (const listing of listings) {
+            const listingId = String(listing.id);
+            const { data, hash } = serializeListing(listing);
+            current.set(listingId, hash);
+            if (stored.get(listingId) !== hash) linked.push({ listingId, hash, data });
+        }
+        const unlinked = Array.from(stored.entries())
+            .filter(([listingId, hash]) => current.get(listingId) !== hash)
+            .map(([listingId, hash]) => ({ listingId, hash }));
+        const order = JSON.stringify(listings.map(listing => listing.id));
+        if (linked.length === 0 && unlinked.length === 0 && this.storedOrder.get(monitorId) === order) return;
+
+        const now = new Date().toISOString();
+        await this._transaction(async () => {
+            // A check finishing after a delete must not leave listings behind
+            const exists = await this._all('SELECT 1 FROM monitors WHERE id = ?', [monitorId]);
+            if (exists.length === 0) return;
+
+            for (const { listingId, hash, data } of linked) {
+                await this._run('INSERT OR IGNORE INTO listings (listing_id, hash, data, stored_at) VALUES (?, ?, ?, ?)',
+                    [listingId, hash, data, now]);
+                await this._run(`
+                    INSERT INTO monitor_listings (monitor_id, listing_id, hash, first_seen_at)
+                    VALUES (?, ?, ?, ?)
+                    ON CONFLICT(monitor_id, listing_id) DO UPDATE SET hash = excluded.hash
+                `, [monitorId, listingId, hash, now]);
+            }
+            for (const { listingId, hash } of unlinked) {
+                if (!current.has(listingId)) {
+                    await this._run('DELETE FROM monitor_listings WHERE monitor_id = ? AND listing_id = ?', [monitorId, listingId]);
                 }
+                await this._deleteUnreferencedListing(listingId, hash);
+            }
+            if (this.storedOrder.get(monitorId) !== order) {
+                await this._run('UPDATE monitors SET listing_order = ? WHERE id = ?', [order, monitorId]);
+            }
+        });
+        this.storedListings.set(monitorId, current);
+        this.storedOrder.set(monitorId, order);
+    }
+
+    // The version hash saveSnapshot stores the listing under
+    listingVersion(listing) {
+        return serializeListing(listing).hash;
+    }
+
+    // versions: [listingId, hash] pairs. Resolves to Map(listingId -> listing) for the
+    // versions stored here; others are left out.
+    async getListingVersions(versions) {
+        await this.initialized;
+        const wanted = new Map(versions.map(([listingId, hash]) => [String(listingId), hash]));
+        const ids = Array.from(wanted.keys());
+        const found = new Map();
+        // SQLite limits the number of bound parameters per statement
+        for (let i = 0; i < ids.length; i += 500) {
+            const chunk = ids.slice(i, i + 500);
+            const rows = await this._all(
+                `SELECT listing_id, hash, data FROM listings WHERE listing_id IN (${chunk.map(() => '?').join(', ')})`,
+                chunk
+            );
+            rows.filter(row => wanted.get(row.listing_id) === row.hash)
+                .forEach(row => found.set(row.listing_id, JSON.parse(row.data)));
+        }
+        return found;
+    }
+
+    _deleteUnreferencedListing(listingId, hash) {
+        return this._run(`
+            DELETE FROM listings WHERE listing_id = ? AND hash = ?
+            AND NOT EXISTS (SELECT 1 FROM monitor_listings WHERE listing_id = ? AND hash = ?)
+        `, [listingId, hash, listingId, hash]);
+    }
+
+    // Insert or update by monitor ID; the URL is unique across monitors
+    async saveMonitor(monitorId, config) {
+        await this.initialized;
+        const [normalizedUrl, originalUrl, title, status, settings, state, now] = this._monitorParams(monitorId, config);
+        await this._run(`
+            INSERT INTO monitors (id, normalized_url, original_url, title, status, config, state, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                normalized_url = excluded.normalized_url,
+                original_url = excluded.original_url,
+                title = excluded.title,
+                status = excluded.status,
+                config = excluded.config,
+                state = excluded.state,
+                updated_at = excluded.updated_at
+        `, [monitorId, normalizedUrl, originalUrl, title, status, settings, state, config.startedAt || now, now]);
+    }
+
+    async getMonitors() {
+        await this.initialized;
+        const rows = await this._all(`
+            SELECT id, normalized_url, original_url, title, status, config, state, listing_order
+            FROM monitors
+            ORDER BY created_at, id
+        `);
+
+        const monitors = [];
+        for (const row of rows) {
+            const state = JSON.parse(row.state);
+            monitors.push([row.id, {
+                ...JSON.parse(row.config),
+                ...state,
+                id: row.id,
+                title: row.title,
+                status: row.status,
+                normalizedUrl: row.normalized_url,
+                originalUrl: row.original_url,
+                lastSnapshot: await this._getSnapshot(row.id, row.listing_order),
+                changes: await this._getBufferedChanges(row.id, state.changesClearedAt)
+            }]);
+        }
+        return monitors;
+    }
+
+    // Rebuilds the monitor's snapshot in its stored order and remembers what is stored
+    async _getSnapshot(monitorId, listingOrder) {
+        const rows = await this._all(`
+            SELECT ml.listing_id, ml.hash, l.data
+            FROM monitor_listings ml
+            JOIN listings l ON l.listing_id = ml.listing_id AND l.hash = ml.hash
+            WHERE ml.monitor_id = ?
+        `, [monitorId]);
+
+        const byId = new Map(rows.map(row => [row.listing_id, row]));
+        const order = JSON.parse(listingOrder).map(String);
+        // Listings missing from the order (shouldn't happen) go last
+        const ordered = [...new Set([...order, ...byId.keys()])].filter(listingId => byId.has(listingId));
+
+        this.storedListings.set(monitorId, new Map(rows.map(row => [row.listing_id, row.hash])));
+        this.storedOrder.set(monitorId, listingOrder);
+        return ordered.map(listingId => JSON.parse(byId.get(listingId).data));
+    }
+
+    // The monitor's in-memory change buffer: the latest changes since it was last cleared
+    async _getBufferedChanges(monitorId, clearedAt) {
+        const rows = await this._all(
+            'SELECT data FROM changes WHERE monitor_id = ? AND detected_at > ? ORDER BY detected_at DESC, id DESC LIMIT ?',
+            [monitorId, clearedAt || '', CONFIG.CHANGES_RETENTION]
+        );
+        return rows.reverse().map(row => JSON.parse(row.data));
+    }
+
+    // Updates an existing monitor only; a check finishing after a delete must not bring it back.
+    // Listings are written separately with saveSnapshot.
+    async updateMonitor(monitorId, config) {
+        await this.initialized;
+        await this._run(`
+            UPDATE monitors SET
+                normalized_url = ?, original_url = ?, title = ?, status = ?, config = ?, state = ?, updated_at = ?
+            WHERE id = ?
+        `, this._monitorParams(monitorId, config));
+    }
+
+    async deleteMonitor(monitorId) {
+        await this.initialized;
+        await this._transaction(async () => {
+            await this._run('DELETE FROM monitors WHERE id = ?', [monitorId]);
+            await this._run('DELETE FROM monitor_listings WHERE monitor_id = ?', [monitorId]);
+            for (const [listingId, hash] of this.storedListings.get(monitorId) || []) {
+                await this._deleteUnreferencedListing(listingId, hash);
+            }
+        });
+        this.storedListings.delete(monitorId);
+        this.storedOrder.delete(monitorId);
+    }
+
+    async saveChanges(monitorId, changes) {
+        await this.initialized;
+        if (changes.length === 0) return;
+
+        await this._transaction(async () => {
+            for (const change of changes) {
+                await this._run(
+                    'INSERT INTO changes (monitor_id, type, listing_id, detected_at, data) VALUES (?, ?, ?, ?, ?)',
+                    [monitorId, change.type, change.listingId || null, change.timestamp, JSON.stringify(change)]
+                );
+            }
+        });
+    }
+
+    // run: { startedAt, finishedAt, outcome: 'ok' | 'error', ...details }
+    async saveCheckRun(monitorId, run) {
+        await this.initialized;
+        const { startedAt, finishedAt, outcome, ...details } = run;
+        await this._run(
+            'INSERT INTO check_runs (monitor_id, started_at, finished_at, outcome, data) VALUES (?, ?, ?, ?, ?)',
+            [monitorId, startedAt, finishedAt, outcome, JSON.stringify(details)]
+        );
+    }
+
+    async getCheckRuns(monitorId, limit = 50) {
+        await this.initialized;
+        const rows = await this._all(
+            'SELECT * FROM check_runs WHERE monitor_id = ? ORDER BY finished_at DESC, id DESC LIMIT ?',
+            [monitorId, limit]
+        );
+        return rows.map(row => ({
+            startedAt: row.started_at,
+            finishedAt: row.finished_at,
+            outcome: row.outcome,
+            ...JSON.parse(row.data)
+        }));
+    }
+
+    // filters: { monitorId, types, listingId, from, to, limit, offset }
+    async queryChanges(filters = {}) {
+        await this.initialized;
+        const conditions = [];
+        const params = [];
+
+        if (filters.monitorId) {
+            conditions.push('monitor_id = ?');
+            params.push(filters.monitorId);
+        }
+        if (filters.types && filters.types.length > 0) {
+            conditions.push(`type IN (${filters.types.map(() => '?').join(', ')})`);
+            params.push(...filters.types);
+        }
+        if (filters.listingId) {
+            conditions.push('listing_id = ?');
+            params.push(String(filters.listingId));
+        }
+        if (filters.from) {
+            conditions.push('detected_at >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('detected_at <= ?');
+            params.push(filters.to);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const [{ total }] = await this._all(`SELECT COUNT(*) AS total FROM changes ${where}`, params);
+        const rows = await this._all(
+            `SELECT id, monitor_id, data FROM changes ${where} ORDER BY detected_at DESC, id DESC LIMIT ? OFFSET ?`,
+            [...params, filters.limit || 50, filters.offset || 0]
+        );
+
+        return {
+            total,
+            changes: rows.map(row => ({
+                historyId: row.id,
+                monitorId: row.monitor_id,
+                ...JSON.parse(row.data)
+            }))
+        };
+    }
+
+    async getListingLifecycles(listingIds) {
+        await this.initialized;
+        const rows = [];
+        // SQLite limits the number of bound parameters per statement
+        for (let i = 0; i < listingIds.length; i += 500) {
+            const chunk = listingIds.slice(i, i + 500);
+            rows.push(...await this._all(
+                `SELECT * FROM listing_lifecycle WHERE listing_id IN (${chunk.map(() => '?').join(', ')})`,
+                chunk
+            ));
+        }
+        return rows;
+    }
+
+    // updates: { upserts: [row], events: [{ listingId, monitorId, type, occurredAt, data }] }
+    async saveListingLifecycles({ upserts = [], events = [] }) {
+        await this.initialized;
+        if (upserts.length === 0 && events.length === 0) return;
+
+        await this._transaction(async () => {
+            for (const row of upserts) {
+                await this._run(`
+                    INSERT INTO listing_lifecycle (listing_id, first_seen_at, last_seen_at, removed_at, relist_count, last_price)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                    ON CONFLICT(listing_id) DO UPDATE SET
+                        last_seen_at = excluded.last_seen_at,
+                        removed_at = excluded.removed_at,
+                        relist_count = excluded.relist_count,
+                        last_price = excluded.last_price
+                `, [row.listing_id, row.first_seen_at, row.last_seen_at, row.removed_at, row.relist_count, row.last_price]);
+            }
+            for (const event of events) {
+                await this._run(
+                    'INSERT INTO listing_events (listing_id, monitor_id, type, occurred_at, data) VALUES (?, ?, ?, ?, ?)',
+                    [event.listingId, event.monitorId, event.type, event.occurredAt, event.data ? JSON.stringify(event.data) : null]
+                );
+            }
+        });
+    }
+
+    async touchListings(listingIds, seenAt) {
+        await this.initialized;
+        for (let i = 0; i < listingIds.length; i += 500) {
+            const chunk = listingIds.slice(i, i + 500);
+            await this._run(
+                `UPDATE listing_lifecycle SET last_seen_at = ? WHERE listing_id IN (${chunk.map(() => '?').join(', ')})`,
+                [seenAt, ...chunk]
+            );
+        }
+    }
+
+    async getListingEvents(listingId) {
+        await this.initialized;
+        const rows = await this._all(
+            'SELECT monitor_id, type, occurred_at, data FROM listing_events WHERE listing_id = ? ORDER BY occurred_at, id',
+            [String(listingId)]
+        );
+        return rows.map(row => ({
+            type: row.type,
+            monitorId: row.monitor_id,
+            occurredAt: row.occurred_at,
+            ...(row.data ? JSON.parse(row.data) : {})
+        }));
+    }
+
+    // Rows of a prune target older than the cutoff, in rowid order after afterRowid.
+    // Removed listings come with their events, which are deleted along with them.
+    async getPrunableRows(target, cutoff, afterRowid = 0, limit = CONFIG.RETENTION.BATCH_SIZE) {
+        await this.initialized;
+        const { table, where } = PRUNE_TARGETS[target];
+        const rows = await this._all(
+            `SELECT rowid AS row_id, * FROM ${table} WHERE ${where} AND rowid > ? ORDER BY rowid LIMIT ?`,
+            [cutoff, afterRowid, limit]
+        );
+
+        if (target === 'removedListings' && rows.length > 0) {
+            const events = await this._all(
+                `SELECT * FROM listing_events WHERE listing_id IN (${rows.map(() => '?').join(', ')}) ORDER BY occurred_at, id`,
+                rows.map(row => row.listing_id)
+            );
+            rows.forEach(row => {
+                row.events = events.filter(event => event.listing_id === row.listing_id);
             });
+        }
+        return rows;
+    }
+
+    // Deletes one batch of a prune target, optionally only rows up to maxRowid; returns the count
+    async deletePrunableRows(target, cutoff, maxRowid = null, limit = CONFIG.RETENTION.BATCH_SIZE) {
+        await this.initialized;
+        const { table, where } = PRUNE_TARGETS[target];
+        const bound = maxRowid === null ? '' : 'AND rowid <= ?';
+
+        return this._transaction(async () => {
+            const rows = await this._all(
+                `SELECT rowid AS row_id, ${target === 'removedListings' ? 'listing_id' : 'NULL AS listing_id'}
+                FROM ${table} WHERE ${where} ${bound} ORDER BY rowid LIMIT ?`,
+                maxRowid === null ? [cutoff, limit] : [cutoff, maxRowid, limit]
+            );
+            if (rows.length === 0) return 0;
+
+            const placeholders = rows.map(() => '?').join(', ');
+            if (target === 'removedListings') {
+                await this._run(`DELETE FROM listing_events WHERE listing_id IN (${placeholders})`, rows.map(row => row.listing_id));
+            }
+            await this._run(`DELETE FROM ${table} WHERE rowid IN (${placeholders})`, rows.map(row => row.row_id));
+            return rows.length;
         });
     }
 
-    async updateMonitor(url, config) {
+    async getPageStats() {
         await this.initialized;
-        const cleanConfig = this._cleanConfigForStorage(config);
+        const [[{ page_size: pageSize }], [{ page_count: pageCount }], [{ freelist_count: freePages }]] = await Promise.all([
+            this._all('PRAGMA page_size'),
+            this._all('PRAGMA page_count'),
+            this._all('PRAGMA freelist_count')
+        ]);
+        return { pageSize, pageCount, freePages };
+    }
+
+    // Rebuilds the file to give pages freed by pruning back to the file system
+    async vacuum() {
+        await this.initialized;
+        return this._enqueue(() => this._run('VACUUM'));
+    }
+
+    // Row counts per table and per monitor; byte counts are the stored JSON payloads.
+    // A listing version shared by several monitors counts for each of them.
+    async getStorageStats() {
+        await this.initialized;
+        const tables = await this._all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+        const rowCounts = {};
+        for (const { name } of tables) {
+            const [{ count }] = await this._all(`SELECT COUNT(*) AS count FROM "${name}"`);
+            rowCounts[name] = count;
+        }
+
+        const [monitors, listings, changes, events, runs] = await Promise.all([
+            this._all('SELECT id, title FROM monitors ORDER BY created_at, id'),
+            this._all(`
+                SELECT ml.monitor_id, COUNT(*) AS count, COALESCE(SUM(LENGTH(l.data)), 0) AS bytes
+                FROM monitor_listings ml
+                JOIN listings l ON l.listing_id = ml.listing_id AND l.hash = ml.hash
+                GROUP BY ml.monitor_id
+            `),
+            this._all('SELECT monitor_id, COUNT(*) AS count, COALESCE(SUM(LENGTH(data)), 0) AS bytes FROM changes GROUP BY monitor_id'),
+            this._all('SELECT monitor_id, COUNT(*) AS count, COALESCE(SUM(LENGTH(data)), 0) AS bytes FROM listing_events GROUP BY monitor_id'),
+            this._all('SELECT monitor_id, COUNT(*) AS count, COALESCE(SUM(LENGTH(data)), 0) AS bytes FROM check_runs GROUP BY monitor_id')
+        ]);
+
+        const byMonitor = rows => new Map(rows.map(row => [row.monitor_id, { count: row.count, bytes: row.bytes }]));
+        const empty = { count: 0, bytes: 0 };
+        const [listingStats, changeStats, eventStats, runStats] = [byMonitor(listings), byMonitor(changes), byMonitor(events), byMonitor(runs)];
+
+        return {
+            ...await this.getPageStats(),
+            tables: rowCounts,
+            monitors: monitors.map(monitor => ({
+                id: monitor.id,
+                title: monitor.title,
+                listings: listingStats.get(monitor.id) || empty,
+                changes: changeStats.get(monitor.id) || empty,
+                events: eventStats.get(monitor.id) || empty,
+                runs: runStats.get(monitor.id) || empty
+            }))
+        };
+    }
+
+    // Copies between the open database and a file with SQLite's online backup API;
+    // the copy is consistent even while checks are writing
+    _backup(file, fileIsDestination) {
         return new Promise((resolve, reject) => {
-            const stmt = this.db.prepare('UPDATE monitors SET config = ? WHERE url = ?');
-            stmt.run(JSON.stringify(cleanConfig), url, (err) => {
-                if (err) reject(err);
-                else resolve();
+            const backup = this.db.backup(file, 'main', 'main', fileIsDestination, (err) => {
+                if (err) return reject(err);
+                const step = () => backup.step(-1, (stepErr) => {
+                    if (stepErr) return backup.finish(() => reject(stepErr));
+                    if (backup.completed) return backup.finish(() => resolve());
+                    // Busy or locked: try again shortly
+                    setTimeout(step, 100);
+                });
+                step();
             });
-            stmt.finalize();
         });
     }
 
-    async deleteMonitor(url) {
+    async backupTo(file) {
         await this.initialized;
+        return this._enqueue(() => this._backup(file, true));
+    }
+
+    // Replaces the whole database with a backup file (see inspectBackup); backups from
+    // older versions are migrated like on startup
+    async restoreFrom(file) {
+        await this.initialized;
+        await this._enqueue(() => this._backup(file, false));
+        this.storedListings.clear();
+        this.storedOrder.clear();
+        this.initialized = this.init();
+        await this.initialized;
+    }
+
+    // Opens a backup file read-only and checks that it is an intact monitors database
+    // this version can migrate; returns { version, monitors }
+    inspectBackup(file) {
         return new Promise((resolve, reject) => {
-            const stmt = this.db.prepare('DELETE FROM monitors WHERE url = ?');
-            stmt.run(url, (err) => {
-                if (err) reject(err);
-                else resolve();
+            const db = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (openErr) => {
+                if (openErr) return reject(openErr);
+                const all = sql => new Promise((done, fail) => db.all(sql, (err, rows) => (err ? fail(err) : done(rows))));
+
+                (async () => {
+                    const [{ integrity_check: integrity }] = await all('PRAGMA integrity_check');
+                    if (integrity !== 'ok') throw new Error(`integrity check failed: ${integrity}`);
+                    const [{ user_version: version }] = await all('PRAGMA user_version');
+                    if (version > LATEST_VERSION) {
+                        throw new Error(`schema version ${version} is newer than this version supports (${LATEST_VERSION})`);
+                    }
+                    const tables = await all("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'monitors'");
+                    if (tables.length === 0) throw new Error('no monitors table');
+                    const [{ count }] = await all('SELECT COUNT(*) AS count FROM monitors');
+                    return { version, monitors: count };
+                })().then(resolve, reject).finally(() => db.close());
             });
-            stmt.finalize();
         });
     }
 
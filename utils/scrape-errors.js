@@ -0,0 +1,103 @@
+// === Typed Scrape Errors ===
+// Jede fehlgeschlagene Anfrage an willhaben wird einer dieser Klassen zugeordnet,
+// damit Retry-Policy, job.lastError und API-Antworten unterscheiden können,
+// ob willhaben die Seite geändert hat oder ob wir gedrosselt werden.
+
+class ScrapeError extends Error {
+    constructor(message, { type = 'UNKNOWN', httpStatus = 500, url = null, statusCode = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.type = type;
+        this.httpStatus = httpStatus;
+        this.url = url;
+        this.statusCode = statusCode;   // Status der willhaben-Antwort, falls vorhanden
+        this.retryAfter = retryAfter;   // Millisekunden, falls bekannt
+    }
+
+    toJSON() {
+        return {
+            type: this.type,
+            message: this.message,
+            statusCode: this.statusCode,
+            retryAfter: this.retryAfter
+        };
+    }
+}
+
+class BlockedError extends ScrapeError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: 'BLOCKED', httpStatus: 502 });
+    }
+}
+
+class RateLimitedError extends ScrapeError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: 'RATE_LIMITED', httpStatus: 429 });
+    }
+}
+
+class NotFoundError extends ScrapeError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: 'NOT_FOUND', httpStatus: 404 });
+    }
+}
+
+class MarkupChangedError extends ScrapeError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: 'MARKUP_CHANGED', httpStatus: 502 });
+    }
+}
+
+// Eingabe des API-Clients, keine willhaben-Antwort: wird nie wiederholt
+class InvalidUrlError extends ScrapeError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: 'INVALID_URL', httpStatus: 400 });
+    }
+}
+
+class NetworkError extends ScrapeError {
+    constructor(message, options = {}) {
+        super(message, { ...options, type: 'NETWORK', httpStatus: 504 });
+    }
+}
+
+// Retry-After ist entweder Sekunden oder ein HTTP-Datum
+function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(String(value).trim())) {
+        return Number(value) * 1000;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return Math.max(date.getTime() - Date.now(), 0);
+}
+
+// Sendet einen Scrape-Fehler mit passendem HTTP-Status an den API-Client
+function sendScrapeError(res, error) {
+    if (!(error instanceof ScrapeError)) {
+        return res.status(500).json({ error: error.message });
+    }
+
+    if (error.retryAfter) {
+        res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+    }
+
+    return res.status(error.httpStatus).json({
+        error: error.message,
+        type: error.type,
+        statusCode: error.statusCode,
+        retryAfter: error.retryAfter
+    });
+}
+
+module.exports = {
+    ScrapeError,
+    BlockedError,
+    RateLimitedError,
+    NotFoundError,
+    MarkupChangedError,
+    InvalidUrlError,
+    NetworkError,
+    parseRetryAfter,
+    sendScrapeError
+};
\ No newline at end of file
@@ -0,0 +1,200 @@
+const cron = require('node-cron');
+const CONFIG = require('../config/constants');
+
+// === Monitor Schedules ===
+// Optional pro Monitor, immer in einer expliziten Zeitzone:
+//
+//   { cron: '*/10 7-22 * * 1-5', timezone: 'Europe/Vienna' }
+//   { days: 'weekdays', hours: { from: 7, to: 23 }, timezone: 'Europe/Vienna' }
+//
+// Geprüft wird nur innerhalb des Fensters (bzw. zu Minuten, auf die der Cron-Ausdruck passt);
+// das adaptive Intervall bestimmt den Abstand innerhalb des Fensters.
+
+const MINUTE_MS = 60000;
+const MAX_LOOKAHEAD_MINUTES = 8 * 24 * 60;
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// Felder eines fünfteiligen Cron-Ausdrucks; Namen zählen ab min (jan = 1, sun = 0)
+const CRON_FIELDS = [
+    { key: 'minute', min: 0, max: 59 },
+    { key: 'hour', min: 0, max: 23 },
+    { key: 'day', min: 1, max: 31 },
+    { key: 'month', min: 1, max: 12, names: MONTH_NAMES },
+    { key: 'weekday', min: 0, max: 7, names: DAY_NAMES }
+];
+const DAY_PRESETS = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+
+const zonedFormatters = new Map();
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Datum, Wochentag und Uhrzeit eines Zeitpunkts in der angegebenen Zeitzone
+function getZonedParts(date, timeZone = CONFIG.TIMEZONE) {
+    if (!zonedFormatters.has(timeZone)) {
+        zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            weekday: 'short',
+            month: 'numeric',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    const parts = zonedFormatters.get(timeZone).formatToParts(date).reduce((result, part) => {
+        result[part.type] = part.value;
+        return result;
+    }, {});
+
+    return {
+        weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute)
+    };
+}
+
+function resolveDays(days) {
+    if (days === undefined) return DAY_PRESETS.daily;
+    if (typeof days === 'string') return DAY_PRESETS[days.toLowerCase()] || null;
+    if (!Array.isArray(days)) return null;
+
+    const resolved = days.map(day => (typeof day === 'number' ? day : DAY_NAMES.indexOf(String(day).toLowerCase().substring(0, 3))));
+    return resolved.every(day => Number.isInteger(day) && day >= 0 && day <= 6) ? resolved : null;
+}
+
+function cronValue(value, { min, names }) {
+    const index = names ? names.indexOf(value.substring(0, 3)) : -1;
+    return index >= 0 ? index + min : Number(value);
+}
+
+// Erlaubte Werte eines (mit cron.validate geprüften) Felds: Listen, Bereiche, Schritte, Namen
+function parseCronField(expression, field) {
+    const values = new Set();
+    for (const part of expression.toLowerCase().split(',')) {
+        const [range, step] = part.split('/');
+        let [from, to] = range === '*' ? [field.min, field.max] : range.split('-').map(value => cronValue(value, field));
+        // "5/15": ab 5 in 15er-Schritten
+        if (to === undefined) to = step ? field.max : from;
+        if (from > to) [from, to] = [to, from];
+        for (let value = from; value <= to; value += Number(step || 1)) {
+            values.add(value);
+        }
+    }
+    // Sonntag ist 0 oder 7
+    if (field.key === 'weekday' && values.has(7)) values.add(0);
+    return values;
+}
+
+function validateSchedule(schedule) {
+    if (schedule === null || schedule === undefined) return [];
+    if (typeof schedule !== 'object' || Array.isArray(schedule)) return ['"schedule" must be an object'];
+
+    const errors = [];
+    if (schedule.timezone !== undefined && !isValidTimeZone(schedule.timezone)) {
+        errors.push(`"schedule.timezone" is not a valid IANA timezone: ${schedule.timezone}`);
+    }
+
+    if (schedule.cron !== undefined) {
+        if (schedule.days !== undefined || schedule.hours !== undefined) {
+            errors.push('"schedule" takes either "cron" or "days"/"hours", not both');
+        }
+        if (typeof schedule.cron !== 'string' || !cron.validate(schedule.cron)) {
+            errors.push('"schedule.cron" is not a valid cron expression');
+        } else if (schedule.cron.trim().split(/\s+/).length !== 5) {
+            errors.push('"schedule.cron" must have five fields (minute hour day month weekday)');
+        }
+        return errors;
+    }
+
+    if (schedule.days === undefined && schedule.hours === undefined) {
+        errors.push('"schedule" needs "cron" or "days"/"hours"');
+    }
+    if (resolveDays(schedule.days) === null) {
+        errors.push('"schedule.days" must be daily, weekdays, weekends or a list of days (mon, tue, ...)');
+    }
+    if (schedule.hours !== undefined) {
+        const { from, to } = schedule.hours || {};
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || from > 23 || to < 1 || to > 24 || from === to) {
+            errors.push('"schedule.hours" must be { from: 0-23, to: 1-24 } (to is exclusive; from > to spans midnight)');
+        }
+    }
+    return errors;
+}
+
+// Liefert eine Funktion date -> boolean für das Fenster des Monitors
+function createMatcher(schedule) {
+    const timeZone = schedule.timezone || CONFIG.TIMEZONE;
+
+    if (schedule.cron) {
+        // Wie bei node-cron müssen Tag und Wochentag beide passen
+        const fields = schedule.cron.trim().split(/\s+/).map((expression, index) => parseCronField(expression, CRON_FIELDS[index]));
+        return (date) => {
+            const parts = getZonedParts(date, timeZone);
+            return CRON_FIELDS.every((field, index) => fields[index].has(parts[field.key]));
+        };
+    }
+
+    const days = resolveDays(schedule.days);
+    const hours = schedule.hours || { from: 0, to: 24 };
+    return (date) => {
+        const { weekday, hour } = getZonedParts(date, timeZone);
+        if (hours.from < hours.to) {
+            return days.includes(weekday) && hour >= hours.from && hour < hours.to;
+        }
+        // Über Mitternacht: die Stunden nach Mitternacht gehören zum Vortag
+        if (hour >= hours.from) return days.includes(weekday);
+        return hour < hours.to && days.includes((weekday + 6) % 7);
+    };
+}
+
+function isWithinSchedule(schedule, date = new Date()) {
+    if (!schedule) return true;
+    return createMatcher(schedule)(date);
+}
+
+// Nächster Prüfzeitpunkt: frühestens nach intervalMs und nur innerhalb des Fensters.
+// Liefert null, wenn in den nächsten acht Tagen keine passende Minute liegt.
+function nextRunAt(schedule, intervalMs, from = new Date()) {
+    const candidate = new Date(from.getTime() + intervalMs);
+    if (!schedule) return candidate;
+
+    const matches = createMatcher(schedule);
+    if (matches(candidate)) return candidate;
+
+    let minute = Math.ceil(candidate.getTime() / MINUTE_MS) * MINUTE_MS;
+    for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++, minute += MINUTE_MS) {
+        if (matches(new Date(minute))) return new Date(minute);
+    }
+    return null;
+}
+
+function describeSchedule(schedule) {
+    if (!schedule) return null;
+    const timeZone = schedule.timezone || CONFIG.TIMEZONE;
+    if (schedule.cron) return `cron "${schedule.cron}" (${timeZone})`;
+
+    const days = typeof schedule.days === 'string' ? schedule.days : (schedule.days ? schedule.days.join(',') : 'daily');
+    const hours = schedule.hours ? `${schedule.hours.from}:00-${schedule.hours.to}:00` : 'all day';
+    return `${days} ${hours} (${timeZone})`;
+}
+
+module.exports = {
+    getZonedParts,
+    validateSchedule,
+    isWithinSchedule,
+    nextRunAt,
+    describeSchedule
+};
\ No newline at end of file